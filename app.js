@@ -1,20 +1,24 @@
 // DOM element references (will be initialized when DOM is ready)
 let video, canvas, ctx, status, captureBtn, saveBtn, backToCameraBtn, uploadedImg;
 
-let overlayImg = null;
-let overlaySrc = '';
-let overlayType = '';
-let overlayScale = 1.0;
-let overlayOffsetY = 0.0;
+// Layer stack for multi-item outfits - one product per slot, keyed by slot name
+// Each layer: { slot, src, type, variantId, sprite, behindHead, model, fitting, scale,
+// offsetY, nudgeX, nudgeY, rotationTrim }
+// (sprite is the drawable - the loaded image, or a crop of it - and is null until loaded;
+// model is the product's 3D model once loaded, drawn instead of the sprite when WebGL works)
+let overlayLayers = {};
+// Manual adjustments a layer keeps when it's re-dressed, undone, compared or saved
+const LAYER_ADJUSTMENT_FIELDS = ['scale', 'offsetY', 'nudgeX', 'nudgeY', 'rotationTrim'];
+let activeLayerSlot = null; // Slot currently edited by the scale/offset sliders
 let faceMesh = null;
+let poseDetector = null; // MediaPipe Pose instance (null if it failed to load)
+let detectedPose = null; // Latest pose landmarks (33 points, normalized) or null
 let isUsingUploadedImage = false;
 let camera = null;
-let detectedLandmarks = null;
+let detectedLandmarks = null; // Landmarks of the face being fitted/drawn (see setCurrentFace())
 let currentStream = null;
-let faceRotation = { roll: 0, pitch: 0, yaw: 0 }; // Face rotation angles in radians
-let referenceFaceSize = null; // Reference face size for distance calculation
-let referenceEyeDistance = null; // Reference eye distance for scaling glasses
-let referenceFaceWidth = null; // Reference face width for scaling hats/shirts
+let faceRotation = { roll: 0, pitch: 0, yaw: 0 }; // Head rotation in radians (see getHeadPose())
+let currentFitProfile = null; // Calibration profile of the face being fitted, if it's the calibrated user
 
 // Lighting adaptation system
 let lightingAnalysis = {
@@ -22,14 +26,100 @@ let lightingAnalysis = {
   contrast: 1.0,        // 0.0 to 2.0
   saturation: 1.0,      // 0.0 (grayscale) to 2.0 (vibrant)
   temperature: 6500,    // Color temperature in Kelvin (2000-10000)
+  lightX: 0,            // Towards the dominant light in image space (x right, y down),
+  lightY: 0,            // length 0 (even light) to 1 (strongly directional)
   enabled: true         // Enable/disable lighting adaptation
 };
 
 let targetLighting = { ...lightingAnalysis }; // Target values for smooth transitions
+let lightingMode = 'auto'; // 'auto' follows the camera, 'manual' uses the lighting panel's sliders
+let lightingComparison = { enabled: false, split: 0.5 }; // Before/after view; split is the divider's x (0-1)
 let lightingSampleCanvas = null; // Hidden canvas for lighting analysis
 let lightingSampleCtx = null;
 let frameCount = 0; // Frame counter for performance throttling
 
+// Layer slots in z-order (lower zIndex is drawn first, i.e. further back)
+const LAYER_SLOTS = {
+  top:      { zIndex: 10, label: 'Clothing' },
+  earrings: { zIndex: 15, label: 'Earrings' },
+  hair:     { zIndex: 20, label: 'Hair' },
+  lashes:   { zIndex: 25, label: 'Lashes' },
+  eyewear:  { zIndex: 30, label: 'Eyewear' },
+  headwear: { zIndex: 40, label: 'Headwear' }
+};
+
+// Which slot each overlay type occupies
+const TYPE_TO_SLOT = {
+  shirt: 'top',
+  dress: 'top',
+  earrings: 'earrings',
+  hair: 'hair',
+  lashes: 'lashes',
+  glasses: 'eyewear',
+  hat: 'headwear'
+};
+
+/**
+ * Fitting strategies for overlay types placed purely from anchor points.
+ * glasses, hat and shirt keep their rules in calculateOverlayPosition() unless the
+ * product declares anchors (for shirts, only while pose tracking sees the body).
+ * 
+ * - defaultAnchors: used when a product has none; fx/fy are fractions of the sprite size
+ * - widthRatio: overlay width as a fraction of face width, for single-anchor fits
+ * - paired: drawn once per side, mirrored for the right side (anchors must use named "left*" points)
+ * - behindFace: the face oval is cut out so the overlay appears behind the face
+ * - bodyAnchored: needs body points, so body pose tracking runs while it's worn
+ * - anchorsNeedPose: anchors are only used while pose tracking sees the shoulders
+ */
+const OVERLAY_TYPE_STRATEGIES = {
+  // contactShadow: soft shadow cast onto the face - offset down by offsetY face heights,
+  // blurred by blur sprite widths (see drawContactShadow())
+  glasses: {
+    contactShadow: { offsetY: 0.025, blur: 0.015, opacity: 0.3 }
+  },
+  hat: {
+    contactShadow: { offsetY: 0.04, blur: 0.03, opacity: 0.35 }
+  },
+  hair: {
+    behindFace: true,
+    defaultAnchors: [
+      { fx: 0.5, fy: 0.08, landmark: 'crown' },
+      { fx: 0.38, fy: 0.32, landmark: 'leftTemple' },
+      { fx: 0.62, fy: 0.32, landmark: 'rightTemple' }
+    ]
+  },
+  lashes: {
+    paired: true,
+    defaultAnchors: [
+      { fx: 0.05, fy: 0.85, landmark: 'leftEyeOuter' },
+      { fx: 0.5, fy: 0.7, landmark: 'leftUpperLid' },
+      { fx: 0.95, fy: 0.85, landmark: 'leftEyeInner' }
+    ]
+  },
+  earrings: {
+    paired: true,
+    widthRatio: 0.12,
+    defaultAnchors: [
+      { fx: 0.5, fy: 0.0, landmark: 'leftEarlobe' }
+    ]
+  },
+  shirt: {
+    bodyAnchored: true,
+    anchorsNeedPose: true, // Without pose, shirts keep the chin-anchored rules
+    defaultAnchors: [
+      { fx: 0.1, fy: 0.2, landmark: 'leftShoulder' },
+      { fx: 0.9, fy: 0.2, landmark: 'rightShoulder' }
+    ]
+  },
+  dress: {
+    bodyAnchored: true,
+    defaultAnchors: [
+      { fx: 0.25, fy: 0.1, landmark: 'leftShoulder' },
+      { fx: 0.75, fy: 0.1, landmark: 'rightShoulder' }
+    ]
+  }
+};
+
 // Face mesh indices for different overlay types
 const FACE_LANDMARKS = {
   glasses: {
@@ -46,36 +136,132 @@ const FACE_LANDMARKS = {
   }
 };
 
+// Named face points that product anchors can be bound to. Each is the average of
+// one or more mesh landmarks; "left"/"right" are image-space sides as in FACE_LANDMARKS.
+const FACE_ANCHOR_POINTS = {
+  leftEye: [33, 133],     // Left eye centre (between outer and inner corners)
+  rightEye: [263, 362],   // Right eye centre
+  noseBridge: [168],
+  noseTip: [1],
+  forehead: [10],
+  leftHead: [21, 54],     // Upper forehead sides, where hat bands sit
+  rightHead: [251, 284],
+  leftTemple: [234],
+  rightTemple: [454],
+  leftEyeOuter: [33],
+  leftEyeInner: [133],
+  leftUpperLid: [159],    // Upper eyelid contour midpoint
+  rightEyeOuter: [263],
+  rightEyeInner: [362],
+  rightUpperLid: [386],
+  leftEarlobe: [132],     // Approximate earlobe, just behind the jaw angle
+  rightEarlobe: [361],
+  leftFrameEdge: [33, 234],   // Where a typical glasses front ends, between eye corner and temple
+  rightFrameEdge: [263, 454],
+  chin: [152]
+};
+
+// Face oval contour, used to cut the face out of overlays drawn behind it
+const FACE_OVAL_LANDMARKS = [
+  10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377,
+  152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109
+];
+
+// Points beyond the face mesh, estimated from face proportions. Head and body
+// proportions are in units of face height (forehead-chin) and face width (temple-temple).
+const DERIVED_ANCHOR_POINTS = {
+  crown:         frame => offsetFromFace(frame, frame.forehead, 0.35, 0),
+  neck:          frame => offsetFromFace(frame, frame.chin, -0.3, 0),
+  leftShoulder:  frame => offsetFromFace(frame, frame.chin, -0.6, -1.3),
+  rightShoulder: frame => offsetFromFace(frame, frame.chin, -0.6, 1.3),
+  leftElbow:     frame => offsetFromFace(frame, frame.chin, -1.9, -1.5),
+  rightElbow:    frame => offsetFromFace(frame, frame.chin, -1.9, 1.5),
+  leftHip:       frame => offsetFromFace(frame, frame.chin, -3.4, -1.1),
+  rightHip:      frame => offsetFromFace(frame, frame.chin, -3.4, 1.1)
+};
+
+// MediaPipe Pose landmark indices for body anchors. Pose "left" is the subject's left,
+// which is image-right, so the indices are swapped relative to the anchor names.
+const POSE_ANCHOR_LANDMARKS = {
+  leftShoulder: 12,
+  rightShoulder: 11,
+  leftElbow: 14,
+  rightElbow: 13,
+  leftHip: 24,
+  rightHip: 23
+};
+
+const POSE_MIN_VISIBILITY = 0.5;
+
+const FACE_MESH_VENDOR_PATH = 'vendor/mediapipe/face_mesh/';
+const FACE_MESH_CDN_PATH = 'https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/';
+const POSE_VENDOR_PATH = 'vendor/mediapipe/pose/';
+const POSE_CDN_PATH = 'https://cdn.jsdelivr.net/npm/@mediapipe/pose/';
+
+// MediaPipe model files come from wherever the library's script did: the bundled
+// copy, or the CDN when index.html had to fall back to it
+function getModelPath(library, vendorPath, cdnPath) {
+  const fallbacks = (typeof window !== 'undefined' && window.cdnFallbacks) || [];
+  return fallbacks.includes(library) ? cdnPath : vendorPath;
+}
+
+function getFaceMeshModelPath() {
+  return getModelPath('face_mesh', FACE_MESH_VENDOR_PATH, FACE_MESH_CDN_PATH);
+}
+
 // Initialize lighting analysis canvas
 function initLightingAnalysis() {
   // Create a small canvas for efficient lighting sampling
   lightingSampleCanvas = document.createElement('canvas');
-  lightingSampleCanvas.width = 64;  // Low resolution for performance
-  lightingSampleCanvas.height = 64;
+  lightingSampleCanvas.width = LIGHTING_SAMPLE_SIZE;  // Low resolution for performance (see lighting.js)
+  lightingSampleCanvas.height = LIGHTING_SAMPLE_SIZE;
   lightingSampleCtx = lightingSampleCanvas.getContext('2d', { willReadFrequently: true });
 }
 
-// Initialize MediaPipe Face Mesh
-function initFaceMesh() {
-  if (typeof FaceMesh === 'undefined') {
-    if (status) status.textContent = 'Loading face detection models...';
-    setTimeout(initFaceMesh, 100);
+// Start face detection - in the detection worker where the browser supports it,
+// otherwise with MediaPipe Face Mesh on the main thread
+async function initFaceDetection() {
+  if (!video || !canvas || !status) {
+    console.error('DOM elements not ready for face mesh initialization');
     return;
   }
   
-  if (!video || !canvas || !status) {
-    console.error('DOM elements not ready for face mesh initialization');
+  status.textContent = 'Loading face detection models...';
+  if (await startDetectionWorker()) {
+    onFaceDetectionReady();
+  } else {
+    initFaceMesh();
+  }
+}
+
+function onFaceDetectionReady() {
+  status.textContent = 'Ready - No face detected';
+  status.className = 'status';
+  initLightingAnalysis(); // Initialize lighting system
+  initPose(); // Body tracking for clothing
+  startCamera();
+}
+
+// Initialize MediaPipe Face Mesh on the main thread
+function initFaceMesh() {
+  if (!createFaceMesh()) {
+    setTimeout(initFaceMesh, 100); // Script still loading
     return;
   }
+  onFaceDetectionReady();
+}
+
+function createFaceMesh() {
+  if (typeof FaceMesh === 'undefined') return false;
   
   const faceMeshModel = new FaceMesh({
     locateFile: (file) => {
-      return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`;
+      return `${getFaceMeshModelPath()}${file}`;
     }
   });
 
   faceMeshModel.setOptions({
-    maxNumFaces: 1,
+    maxNumFaces: MAX_TRACKED_FACES,
     refineLandmarks: true,
     minDetectionConfidence: 0.5,
     minTrackingConfidence: 0.5
@@ -83,67 +269,514 @@ function initFaceMesh() {
 
   faceMeshModel.onResults(onResults);
   faceMesh = faceMeshModel;
-  status.textContent = 'Ready - No face detected';
-  status.className = 'status';
-  initLightingAnalysis(); // Initialize lighting system
-  startCamera();
+  return true;
 }
 
-// Handle face detection results
-function onResults(results) {
-  detectedLandmarks = results.multiFaceLandmarks && results.multiFaceLandmarks[0] 
-    ? results.multiFaceLandmarks[0] 
-    : null;
+function isFaceDetectionReady() {
+  return detectionWorkerReady || faceMesh !== null;
+}
+
+// ========================================
+// Detection Worker
+// ========================================
+// Face detection and lighting analysis run in detection-worker.js so slider drags
+// and drawing stay smooth. Frames are sent as transferred ImageBitmaps, one at a
+// time; the results feed onResults() and targetLighting when they arrive.
+const DETECTION_WORKER_URL = 'detection-worker.js';
+const LIGHTING_ANALYSIS_INTERVAL = 3; // Measure lighting on every 3rd camera frame
+
+let detectionWorker = null;
+let detectionWorkerReady = false;
+let detectionRequests = new Map(); // Request id -> { resolve, reject }
+let nextDetectionRequestId = 1;
+let detectionFrameCount = 0;
+
+function callDetectionWorker(type, data = {}, transfer = []) {
+  return new Promise((resolve, reject) => {
+    const id = nextDetectionRequestId++;
+    detectionRequests.set(id, { resolve, reject });
+    detectionWorker.postMessage({ id, type, ...data }, transfer);
+  });
+}
+
+function onDetectionWorkerMessage(event) {
+  const { id, error, ...result } = event.data;
+  const request = detectionRequests.get(id);
+  if (!request) return;
   
-  if (detectedLandmarks) {
-    // Calculate face rotation angles
-    faceRotation = calculateFaceRotation(detectedLandmarks);
-    
-    // Update reference measurements for smart fitting
-    const canvasWidth = canvas.width;
-    const canvasHeight = canvas.height;
+  detectionRequests.delete(id);
+  if (error) {
+    request.reject(new Error(error));
+  } else {
+    request.resolve(result);
+  }
+}
+
+// Reject everything in flight, e.g. when the worker script fails to load
+function failDetectionRequests(error) {
+  detectionRequests.forEach(request => request.reject(error));
+  detectionRequests.clear();
+}
+
+/**
+ * Start the detection worker and load its model
+ * @returns {Promise<boolean>} false if workers, OffscreenCanvas or the model are unavailable
+ */
+async function startDetectionWorker() {
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+    return false;
+  }
+  
+  try {
+    detectionWorker = new Worker(DETECTION_WORKER_URL);
+    detectionWorker.addEventListener('message', onDetectionWorkerMessage);
+    detectionWorker.addEventListener('error', event => {
+      event.preventDefault();
+      failDetectionRequests(new Error(event.message || 'Detection worker failed'));
+    });
+    await callDetectionWorker('init', { numFaces: MAX_TRACKED_FACES });
+    detectionWorkerReady = true;
+    return true;
+  } catch (error) {
+    console.warn('Detection worker unavailable - detecting faces on the main thread:', error);
+    stopDetectionWorker();
+    return false;
+  }
+}
+
+function stopDetectionWorker() {
+  if (detectionWorker) {
+    detectionWorker.terminate();
+  }
+  detectionWorker = null;
+  detectionWorkerReady = false;
+  failDetectionRequests(new Error('Detection worker stopped'));
+}
+
+/**
+ * Detect faces in a camera frame or still image
+ * Results go to onResults() either way; in the worker, lighting is measured from the same frame.
+ * Still images are measured around the face found in them rather than the last camera frame's.
+ */
+async function detectFaces(source, still = false) {
+  if (!detectionWorkerReady) {
+    if (faceMesh) await faceMesh.send({ image: source });
+    return;
+  }
+  
+  const measureLight = lightingAnalysis.enabled && lightingMode === 'auto' &&
+    (still || detectionFrameCount++ % LIGHTING_ANALYSIS_INTERVAL === 0);
+  try {
+    const bitmap = await createImageBitmap(source);
+    const result = await callDetectionWorker('detect', {
+      bitmap,
+      still,
+      analyzeLighting: measureLight,
+      lightProbe: measureLight && !still ? getLightProbe(detectedLandmarks) : null
+    }, [bitmap]);
     
-    // Store reference eye distance for glasses scaling
-    const leftEye = getLandmark(detectedLandmarks, 33, canvasWidth, canvasHeight);
-    const rightEye = getLandmark(detectedLandmarks, 263, canvasWidth, canvasHeight);
-    if (leftEye && rightEye) {
-      const currentEyeDistance = calculateDistance(leftEye, rightEye);
-      if (!referenceEyeDistance) {
-        referenceEyeDistance = currentEyeDistance;
-      }
+    if (result.lighting) {
+      applyMeasuredLighting(result.lighting);
     }
-    
-    // Store reference face width for hats/shirts
-    const faceLeft = getLandmark(detectedLandmarks, 234, canvasWidth, canvasHeight);
-    const faceRight = getLandmark(detectedLandmarks, 454, canvasWidth, canvasHeight);
-    if (faceLeft && faceRight) {
-      const currentFaceWidth = calculateDistance(faceLeft, faceRight);
-      if (!referenceFaceWidth) {
-        referenceFaceWidth = currentFaceWidth;
+    onResults({ multiFaceLandmarks: result.faces });
+  } catch (error) {
+    // Keep going on the main thread rather than losing detection
+    console.warn('Detection worker failed - switching to main-thread face detection:', error);
+    stopDetectionWorker();
+    if (createFaceMesh()) {
+      await faceMesh.send({ image: source });
+    } else {
+      status.textContent = 'Error loading face detection. Please refresh the page.';
+      status.className = 'status error';
+    }
+  }
+}
+
+// ========================================
+// Body Pose Tracking
+// ========================================
+
+// Initialize MediaPipe Pose - if its script couldn't load at all, clothing is
+// placed from the face only
+function initPose() {
+  if (typeof Pose === 'undefined') {
+    console.info('Body pose tracking unavailable - clothing is placed from the face only');
+    return;
+  }
+  
+  const modelPath = getModelPath('pose', POSE_VENDOR_PATH, POSE_CDN_PATH);
+  const poseModel = new Pose({
+    locateFile: (file) => {
+      return `${modelPath}${file}`;
+    }
+  });
+  
+  poseModel.setOptions({
+    modelComplexity: 1,
+    smoothLandmarks: true,
+    enableSegmentation: false,
+    minDetectionConfidence: 0.5,
+    minTrackingConfidence: 0.5
+  });
+  
+  poseModel.onResults(onPoseResults);
+  poseDetector = poseModel;
+}
+
+// Handle pose detection results
+function onPoseResults(results) {
+  detectedPose = results.poseLandmarks || null;
+}
+
+// Pose only needs to run while someone wears something body-anchored
+function layersNeedPose() {
+  const needsPose = layers => Object.values(layers).some(layer => (OVERLAY_TYPE_STRATEGIES[layer.type] || {}).bodyAnchored);
+  // overlayLayers has no track yet until a face is first selected
+  return needsPose(overlayLayers) || faceTracks.some(track => needsPose(track.layers));
+}
+
+// Run pose detection on a frame, dropping back to face-only placement if it fails
+async function sendPoseFrame(image) {
+  if (!poseDetector) return;
+  
+  try {
+    await poseDetector.send({ image });
+  } catch (err) {
+    console.warn('Body pose tracking failed, using face-only placement:', err);
+    poseDetector = null;
+    detectedPose = null;
+  }
+}
+
+// Get a pose landmark in canvas coordinates if it's confidently visible
+function getVisiblePosePoint(index, canvasWidth, canvasHeight) {
+  if (!detectedPose || !detectedPose[index] || !isPoseOnCurrentFace()) return null;
+  const landmark = detectedPose[index];
+  if (landmark.visibility !== undefined && landmark.visibility < POSE_MIN_VISIBILITY) return null;
+  return { x: landmark.x * canvasWidth, y: landmark.y * canvasHeight };
+}
+
+// Pose tracks a single person - with several faces, only use it for the face whose
+// nose it found (within half a face width)
+function isPoseOnCurrentFace() {
+  if (faceTracks.filter(track => track.landmarks).length < 2) return true;
+  if (!detectedLandmarks || !detectedPose[0]) return false;
+  
+  const faceNose = getLandmark(detectedLandmarks, 1, canvas.width, canvas.height);
+  const poseNose = { x: detectedPose[0].x * canvas.width, y: detectedPose[0].y * canvas.height };
+  const faceLeft = getLandmark(detectedLandmarks, 234, canvas.width, canvas.height);
+  const faceRight = getLandmark(detectedLandmarks, 454, canvas.width, canvas.height);
+  return calculateDistance(faceNose, poseNose) < calculateDistance(faceLeft, faceRight) / 2;
+}
+
+// True when pose tracking currently sees both shoulders
+function isPoseTrackingBody() {
+  return Boolean(
+    getVisiblePosePoint(POSE_ANCHOR_LANDMARKS.leftShoulder, canvas.width, canvas.height) &&
+    getVisiblePosePoint(POSE_ANCHOR_LANDMARKS.rightShoulder, canvas.width, canvas.height)
+  );
+}
+
+/**
+ * Resolve a body anchor from pose tracking
+ * 
+ * Points that are visible come straight from the pose. Hips and elbows are often out
+ * of a webcam's frame, so they are estimated from the tracked shoulders (torso length
+ * and hip width in shoulder widths) to keep the garment following the torso.
+ * 
+ * @returns {Object|null} Canvas point, or null to fall back to face-based estimates
+ */
+function getPoseAnchorPoint(name, canvasWidth, canvasHeight) {
+  const direct = getVisiblePosePoint(POSE_ANCHOR_LANDMARKS[name], canvasWidth, canvasHeight);
+  if (direct) return direct;
+  
+  const left = getVisiblePosePoint(POSE_ANCHOR_LANDMARKS.leftShoulder, canvasWidth, canvasHeight);
+  const right = getVisiblePosePoint(POSE_ANCHOR_LANDMARKS.rightShoulder, canvasWidth, canvasHeight);
+  if (!left || !right) return null;
+  
+  const shoulderWidth = calculateDistance(left, right);
+  if (shoulderWidth === 0) return null;
+  
+  const across = { x: (right.x - left.x) / shoulderWidth, y: (right.y - left.y) / shoulderWidth };
+  const down = { x: -across.y, y: across.x };
+  const mid = { x: (left.x + right.x) / 2, y: (left.y + right.y) / 2 };
+  const along = (origin, downWidths, acrossWidths) => ({
+    x: origin.x + (down.x * downWidths + across.x * acrossWidths) * shoulderWidth,
+    y: origin.y + (down.y * downWidths + across.y * acrossWidths) * shoulderWidth
+  });
+  
+  switch (name) {
+    case 'leftHip': return along(mid, 1.25, -0.42);
+    case 'rightHip': return along(mid, 1.25, 0.42);
+    case 'leftElbow': return along(left, 0.75, -0.05);
+    case 'rightElbow': return along(right, 0.75, 0.05);
+    default: return null;
+  }
+}
+
+// ========================================
+// Multi-Face Tracking
+// ========================================
+const MAX_TRACKED_FACES = 4;
+const FACE_MATCH_MAX_DISTANCE = 0.75;    // How far a face may move between frames (face widths)
+const FACE_TRACK_MAX_MISSED_FRAMES = 15; // Keep a face's outfit through brief detection dropouts
+const FACE_HIGHLIGHT_MS = 800;           // How long a tapped face stays outlined
+
+// One entry per person: { id, landmarks, position, filterState, headPose, rotation,
+// layers, activeLayerSlot, missedFrames }. landmarks is null while lost.
+// The selected face's layers object *is* overlayLayers, so the rest of the app
+// (sliders, layer list, closet, cart) edits the selected person's outfit.
+let faceTracks = [];
+let nextFaceId = 1;
+let selectedFaceId = null;
+let faceHighlightUntil = 0;
+
+function createFaceTrack(layers = {}) {
+  return {
+    id: nextFaceId++,
+    landmarks: null,
+    position: null, // { x, y, width } of the nose tip and face width in canvas pixels
+    filterState: null,
+    headPose: null,
+    rotation: { roll: 0, pitch: 0, yaw: 0 },
+    layers,
+    activeLayerSlot: null,
+    missedFrames: 0
+  };
+}
+
+// The face products are applied to - there is always one, even before any face is seen
+function getSelectedFaceTrack() {
+  let track = faceTracks.find(t => t.id === selectedFaceId);
+  if (!track) {
+    track = createFaceTrack(overlayLayers);
+    track.activeLayerSlot = activeLayerSlot;
+    faceTracks.push(track);
+    selectedFaceId = track.id;
+  }
+  return track;
+}
+
+// Make a face the target of applyProduct() and the sliders
+function selectFaceTrack(track) {
+  const previous = faceTracks.find(t => t.id === selectedFaceId);
+  if (previous) previous.activeLayerSlot = activeLayerSlot;
+  
+  selectedFaceId = track.id;
+  overlayLayers = track.layers;
+  activeLayerSlot = track.activeLayerSlot;
+  setCurrentFace(track);
+  
+  syncSlidersToActiveLayer();
+  updateActiveProductCards();
+  renderLayerList();
+}
+
+// Point the per-face globals (landmarks, rotation, pose, fit profile) at a face while
+// it is fitted and drawn. The calibration profile belongs to the selected person.
+function setCurrentFace(track) {
+  detectedLandmarks = track ? track.landmarks : null;
+  faceRotation = track ? track.rotation : { roll: 0, pitch: 0, yaw: 0 };
+  headPoseSolution = track ? track.headPose : null;
+  currentFitProfile = track && track.id === selectedFaceId ? getActiveFitProfile() : null;
+}
+
+// Forget every face and outfit, starting over with one empty face
+function resetFaceTracks() {
+  faceTracks = [];
+  selectedFaceId = null;
+  overlayLayers = {};
+  activeLayerSlot = null;
+  selectFaceTrack(getSelectedFaceTrack());
+  setCurrentFace(null);
+}
+
+// Drop filter and pose history, e.g. when switching to a different image
+function resetFaceTrackHistory() {
+  resetLandmarkFilter();
+  faceTracks.forEach(track => {
+    track.headPose = null;
+  });
+}
+
+/**
+ * Match this frame's detections to known faces and update each one
+ * 
+ * Detections are paired with tracks nearest-first by nose position (in face widths),
+ * so each person keeps their outfit as they move. New faces start with an empty
+ * outfit; lost faces are dropped after FACE_TRACK_MAX_MISSED_FRAMES (immediately for
+ * still images), except that a lone lost face hands its outfit to whoever appears next.
+ */
+function updateFaceTracks(faces, timestamp) {
+  getSelectedFaceTrack();
+  
+  const pairs = [];
+  faceTracks.forEach(track => {
+    const reclaimable = !track.landmarks && faceTracks.length === 1;
+    faces.forEach((face, faceIndex) => {
+      const nose = getLandmark(face, 1, canvas.width, canvas.height);
+      const distance = track.position && nose
+        ? calculateDistance(nose, track.position) / (track.position.width || 1)
+        : Infinity;
+      if (distance <= FACE_MATCH_MAX_DISTANCE || reclaimable) {
+        pairs.push({ track, faceIndex, distance });
       }
+    });
+  });
+  pairs.sort((a, b) => a.distance - b.distance);
+  
+  const matchedTracks = new Set();
+  const matchedFaces = new Set();
+  pairs.forEach(({ track, faceIndex }) => {
+    if (matchedTracks.has(track) || matchedFaces.has(faceIndex)) return;
+    matchedTracks.add(track);
+    matchedFaces.add(faceIndex);
+    updateFaceTrack(track, faces[faceIndex], timestamp);
+  });
+  
+  faces.forEach((face, faceIndex) => {
+    if (matchedFaces.has(faceIndex)) return;
+    const track = createFaceTrack();
+    faceTracks.push(track);
+    matchedTracks.add(track);
+    updateFaceTrack(track, face, timestamp);
+  });
+  
+  // Lost faces restart their filter and pose when they come back
+  faceTracks.forEach(track => {
+    if (matchedTracks.has(track)) return;
+    track.landmarks = null;
+    track.filterState = null;
+    track.headPose = null;
+    track.missedFrames++;
+  });
+  
+  const maxMissed = isUsingUploadedImage ? 0 : FACE_TRACK_MAX_MISSED_FRAMES;
+  const kept = faceTracks.filter(track => track.landmarks || track.missedFrames <= maxMissed);
+  if (kept.length === 0) kept.push(getSelectedFaceTrack());
+  faceTracks = kept;
+  
+  if (!faceTracks.some(track => track.id === selectedFaceId)) {
+    selectFaceTrack(faceTracks.find(track => track.landmarks) || faceTracks[0]);
+  }
+}
+
+// Filter and pose-solve one face's new detection
+function updateFaceTrack(track, rawLandmarks, timestamp) {
+  // Live video is stabilized over time; a still image is a single detection
+  track.landmarks = isUsingUploadedImage ? rawLandmarks : filterLandmarks(rawLandmarks, timestamp, track);
+  track.missedFrames = 0;
+  track.rotation = calculateFaceRotation(track.landmarks, track);
+  
+  const nose = getLandmark(track.landmarks, 1, canvas.width, canvas.height);
+  const faceLeft = getLandmark(track.landmarks, 234, canvas.width, canvas.height);
+  const faceRight = getLandmark(track.landmarks, 454, canvas.width, canvas.height);
+  track.position = { x: nose.x, y: nose.y, width: faceLeft && faceRight ? calculateDistance(faceLeft, faceRight) : 0 };
+}
+
+// Find the face under a canvas point: inside its head silhouette, or failing that
+// the nearest one within a face width
+function findFaceTrackAt(point) {
+  const visible = faceTracks.filter(track => track.landmarks);
+  const inside = visible.find(track => isPointInPolygon(point, getHeadSilhouette(track.landmarks, HEAD_SILHOUETTE_CRANIUM_LIFT)));
+  if (inside) return inside;
+  
+  let nearest = null;
+  let nearestDistance = Infinity;
+  visible.forEach(track => {
+    const distance = calculateDistance(point, track.position) / (track.position.width || 1);
+    if (distance < 1 && distance < nearestDistance) {
+      nearest = track;
+      nearestDistance = distance;
     }
-    
-    // Update reference face size for overall distance estimation
-    const faceBox = calculateFaceBox(detectedLandmarks, canvas.width, canvas.height);
-    const currentFaceSize = Math.sqrt(faceBox.width * faceBox.width + faceBox.height * faceBox.height);
-    if (!referenceFaceSize) {
-      referenceFaceSize = currentFaceSize;
+  });
+  return nearest;
+}
+
+function isPointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i], b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
     }
+  }
+  return inside;
+}
+
+// Map a pointer event to canvas pixels (the canvas is scaled with object-fit: cover)
+function getCanvasPoint(event) {
+  const rect = canvas.getBoundingClientRect();
+  const scale = Math.max(rect.width / canvas.width, rect.height / canvas.height);
+  const offsetX = (rect.width - canvas.width * scale) / 2;
+  const offsetY = (rect.height - canvas.height * scale) / 2;
+  return {
+    x: (event.clientX - rect.left - offsetX) / scale,
+    y: (event.clientY - rect.top - offsetY) / scale
+  };
+}
+
+// Tap a face on the canvas to choose who the next product goes to
+function setupFaceSelection() {
+  canvas.addEventListener('click', event => {
+    if (consumeCanvasGestureClick()) return;
+    const track = findFaceTrackAt(getCanvasPoint(event));
+    if (!track) return;
+    
+    selectFaceTrack(track);
+    faceHighlightUntil = performance.now() + FACE_HIGHLIGHT_MS;
     
-    status.textContent = 'Face detected ✓';
+    const visibleCount = faceTracks.filter(t => t.landmarks).length;
+    if (visibleCount > 1) {
+      status.textContent = 'Face selected - products now go to this person';
+      status.className = 'status detected';
+    }
+    requestRender();
+    setTimeout(requestRender, FACE_HIGHLIGHT_MS); // Clear the highlight, even on a still photo
+  });
+}
+
+// Briefly outline the selected face after a tap
+function drawSelectedFaceHighlight() {
+  const track = faceTracks.find(t => t.id === selectedFaceId);
+  if (!track || !track.landmarks || performance.now() > faceHighlightUntil) return;
+  
+  ctx.save();
+  ctx.strokeStyle = 'rgba(30, 136, 229, 0.9)';
+  ctx.lineWidth = 3;
+  ctx.setLineDash([8, 6]);
+  ctx.beginPath();
+  getHeadSilhouette(track.landmarks, HEAD_SILHOUETTE_CRANIUM_LIFT).forEach((point, i) => {
+    if (i === 0) ctx.moveTo(point.x, point.y);
+    else ctx.lineTo(point.x, point.y);
+  });
+  ctx.closePath();
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Handle face detection results
+function onResults(results) {
+  updateFaceTracks(results.multiFaceLandmarks || [], performance.now());
+  
+  // Outside the draw loop, the per-face globals describe the selected face
+  setCurrentFace(getSelectedFaceTrack());
+  if (calibrationSession) {
+    collectCalibrationSample();
+  }
+  
+  const visibleCount = faceTracks.filter(track => track.landmarks).length;
+  if (visibleCount > 0) {
+    status.textContent = visibleCount > 1
+      ? `${visibleCount} faces detected - tap a face to dress it`
+      : 'Face detected ✓';
     status.className = 'status detected';
-    draw();
   } else {
     status.textContent = 'No face detected';
     status.className = 'status';
-    // Reset references when face is lost
-    referenceFaceSize = null;
-    referenceEyeDistance = null;
-    referenceFaceWidth = null;
-    if (!isUsingUploadedImage) {
-      draw(); // Still draw video even if no face is detected
-    }
   }
+  requestRender();
 }
 
 // Start camera
@@ -153,6 +786,11 @@ async function startCamera() {
     return;
   }
   
+  if (camera) {
+    camera.stop(); // Never run two cameras (and their frame callbacks) at once
+    camera = null;
+  }
+  
   try {
     const stream = await navigator.mediaDevices.getUserMedia({ 
       video: { facingMode: 'user' }, 
@@ -171,14 +809,20 @@ async function startCamera() {
     
     camera = new Camera(video, {
       onFrame: async () => {
-        await faceMesh.send({ image: video });
+        await detectFaces(video);
+        if (layersNeedPose()) {
+          await sendPoseFrame(video);
+        } else {
+          detectedPose = null; // Don't keep a stale body position around
+        }
       },
       width: containerWidth,
       height: containerHeight
     });
     camera.start();
+    watchVideoFrames();
     status.textContent = 'Camera ready - Face detection active';
-    requestAnimationFrame(draw);
+    requestRender();
   } catch (err) {
     status.textContent = 'Camera error: ' + err.message;
     status.className = 'status error';
@@ -200,140 +844,544 @@ function calculateDistance(p1, p2) {
   return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
 }
 
-// Calculate 3D rotation angles from face landmarks
-function calculateFaceRotation(landmarks) {
+// Face rotation from the solved 3D head pose (landmarks are already stabilized).
+// The solve is stored on the face's track and warm-starts its next frame.
+function calculateFaceRotation(landmarks, track) {
   if (!landmarks || landmarks.length < 468) return { roll: 0, pitch: 0, yaw: 0 };
   
-  const canvasWidth = canvas.width;
-  const canvasHeight = canvas.height;
-  
-  // Key landmarks for rotation calculation
-  // Left eye outer corner: 33, Right eye outer corner: 263
-  // Left eye inner corner: 133, Right eye inner corner: 362
-  // Nose tip: 1, Forehead center: 10, Chin: 175
-  // Left cheek: 234, Right cheek: 454
-  // Left temple: 234, Right temple: 454
-  
-  const leftEyeOuter = getLandmark(landmarks, 33, canvasWidth, canvasHeight);
-  const rightEyeOuter = getLandmark(landmarks, 263, canvasWidth, canvasHeight);
-  const leftEyeInner = getLandmark(landmarks, 133, canvasWidth, canvasHeight);
-  const rightEyeInner = getLandmark(landmarks, 362, canvasWidth, canvasHeight);
-  const forehead = getLandmark(landmarks, 10, canvasWidth, canvasHeight);
-  const chin = getLandmark(landmarks, 175, canvasWidth, canvasHeight);
-  const noseTip = getLandmark(landmarks, 1, canvasWidth, canvasHeight);
-  const leftCheek = getLandmark(landmarks, 234, canvasWidth, canvasHeight);
-  const rightCheek = getLandmark(landmarks, 454, canvasWidth, canvasHeight);
-  
-  let roll = 0, pitch = 0, yaw = 0;
-  
-  // Calculate ROLL (head tilt left/right) - angle between eyes
-  if (leftEyeOuter && rightEyeOuter) {
-    const eyeAngle = Math.atan2(rightEyeOuter.y - leftEyeOuter.y, rightEyeOuter.x - leftEyeOuter.x);
-    roll = eyeAngle;
-  }
-  
-  // Calculate PITCH (head up/down) - using forehead to chin distance
-  if (forehead && chin && noseTip) {
-    // Vertical distance from forehead to chin
-    const verticalDistance = chin.y - forehead.y;
-    // Horizontal distance from nose to face center
-    const faceCenterX = (leftCheek && rightCheek) ? (leftCheek.x + rightCheek.x) / 2 : noseTip.x;
-    const horizontalDistance = Math.abs(noseTip.x - faceCenterX);
-    
-    if (verticalDistance > 0) {
-      // Calculate pitch based on vertical to horizontal ratio
-      pitch = Math.atan2(horizontalDistance, verticalDistance) * 0.3; // Dampened for stability
-    }
-    
-    // Also consider forehead-to-chin relative to eye level
-    const eyeLevel = leftEyeOuter && rightEyeOuter ? (leftEyeOuter.y + rightEyeOuter.y) / 2 : noseTip.y;
-    if (forehead && chin) {
-      const faceHeight = chin.y - forehead.y;
-      const noseOffset = noseTip.y - eyeLevel;
-      if (faceHeight > 0) {
-        pitch = (noseOffset / faceHeight) * Math.PI * 0.2; // Pitch in radians, dampened
-      }
-    }
-  }
-  
-  // Calculate YAW (head left/right turn) - using cheek symmetry
-  if (leftCheek && rightCheek && noseTip) {
-    const leftDistance = calculateDistance(noseTip, leftCheek);
-    const rightDistance = calculateDistance(noseTip, rightCheek);
-    const totalWidth = leftDistance + rightDistance;
-    
-    if (totalWidth > 0) {
-      // Normalize and convert to angle (-1 to 1 range)
-      const asymmetry = (rightDistance - leftDistance) / totalWidth;
-      yaw = asymmetry * Math.PI * 0.3; // Yaw in radians, limited to ±30 degrees
-    }
+  // Warm-start from the last frame; if that lands in a poor fit (fast head turn), solve from scratch
+  const previous = track.headPose;
+  let solution = solveHeadPose(landmarks, canvas.width, canvas.height, previous);
+  if (previous && (!solution || solution.confidence < HEAD_POSE_MIN_CONFIDENCE)) {
+    const fresh = solveHeadPose(landmarks, canvas.width, canvas.height);
+    if (fresh && (!solution || fresh.rmsError < solution.rmsError)) solution = fresh;
   }
+  track.headPose = solution;
+  if (!solution) return { ...track.rotation };
   
-  // Smooth rotation values to reduce jitter
-  const smoothingFactor = 0.7;
-  const currentRoll = (faceRotation && faceRotation.roll !== undefined) ? faceRotation.roll : 0;
-  const currentPitch = (faceRotation && faceRotation.pitch !== undefined) ? faceRotation.pitch : 0;
-  const currentYaw = (faceRotation && faceRotation.yaw !== undefined) ? faceRotation.yaw : 0;
-  
-  faceRotation.roll = currentRoll * smoothingFactor + roll * (1 - smoothingFactor);
-  faceRotation.pitch = currentPitch * smoothingFactor + pitch * (1 - smoothingFactor);
-  faceRotation.yaw = currentYaw * smoothingFactor + yaw * (1 - smoothingFactor);
-  
-  return { roll: faceRotation.roll, pitch: faceRotation.pitch, yaw: faceRotation.yaw };
+  return eulerFromRotationMatrix(solution.rotation);
 }
 
-// Calculate smart scale factor based on eye distance (primary for glasses)
-function calculateEyeDistanceScale() {
-  if (!referenceEyeDistance || !detectedLandmarks) return 1.0;
-  
-  const canvasWidth = canvas.width;
-  const canvasHeight = canvas.height;
-  const leftEye = getLandmark(detectedLandmarks, 33, canvasWidth, canvasHeight);
-  const rightEye = getLandmark(detectedLandmarks, 263, canvasWidth, canvasHeight);
-  
-  if (!leftEye || !rightEye) return 1.0;
-  
-  const currentEyeDistance = calculateDistance(leftEye, rightEye);
-  
-  // Scale based on eye distance ratio (maintains proportion across different faces and distances)
-  const scaleFactor = currentEyeDistance / referenceEyeDistance;
-  
-  // Clamp scale factor to reasonable range (0.4x to 2.5x)
-  return Math.max(0.4, Math.min(2.5, scaleFactor));
+// ========================================
+// Landmark Stabilization
+// ========================================
+
+/**
+ * One Euro filter settings for face landmarks (normalized coordinates, seconds)
+ * - minCutoff: smoothing when still (Hz) - lower removes more shimmer
+ * - beta: how fast the cutoff rises with speed - higher reduces lag when moving
+ * - derivativeCutoff: smoothing of the speed estimate (Hz)
+ */
+let landmarkFilterSettings = {
+  enabled: true,
+  minCutoff: 1.0,
+  beta: 20.0,
+  derivativeCutoff: 1.0
+};
+
+// Change filter settings (e.g. from the console while tuning) and start fresh
+function setLandmarkFilterSettings(settings) {
+  landmarkFilterSettings = { ...landmarkFilterSettings, ...settings };
+  resetLandmarkFilter();
 }
 
-// Calculate smart scale factor based on face width (for hats and shirts)
-function calculateFaceWidthScale() {
-  if (!referenceFaceWidth || !detectedLandmarks) return 1.0;
-  
-  const canvasWidth = canvas.width;
-  const canvasHeight = canvas.height;
-  const faceLeft = getLandmark(detectedLandmarks, 234, canvasWidth, canvasHeight);
-  const faceRight = getLandmark(detectedLandmarks, 454, canvasWidth, canvasHeight);
+// Forget filter history, so a newly found face isn't blended with the last one
+function resetLandmarkFilter() {
+  faceTracks.forEach(track => {
+    track.filterState = null;
+  });
+}
+
+// Smoothing factor of a first-order low-pass filter at a cutoff frequency
+function oneEuroAlpha(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+/**
+ * Stabilize face landmarks with a One Euro filter per coordinate
+ * 
+ * The cutoff adapts to each point's speed: heavy smoothing while the head is
+ * still (no shimmer), light smoothing while it moves (no lag).
+ * 
+ * @param {Array} landmarks - Raw landmarks [{ x, y, z }] (normalized)
+ * @param {number} timestamp - Frame time in milliseconds
+ * @param {Object} track - Face track holding the per-coordinate filter state
+ * @returns {Array} Filtered landmarks
+ */
+function filterLandmarks(landmarks, timestamp, track) {
+  if (!landmarkFilterSettings.enabled) return landmarks;
+  
+  const count = landmarks.length * 3;
+  const state = track.filterState;
+  if (!state || state.values.length !== count) {
+    const values = new Float64Array(count);
+    landmarks.forEach((point, i) => {
+      values[i * 3] = point.x;
+      values[i * 3 + 1] = point.y;
+      values[i * 3 + 2] = point.z || 0;
+    });
+    track.filterState = { values, derivatives: new Float64Array(count), timestamp };
+    return landmarks;
+  }
+  
+  const dt = (timestamp - state.timestamp) / 1000;
+  if (dt <= 0) return landmarksFromValues(state.values);
+  state.timestamp = timestamp;
+  
+  const { minCutoff, beta, derivativeCutoff } = landmarkFilterSettings;
+  const derivativeAlpha = oneEuroAlpha(derivativeCutoff, dt);
+  
+  landmarks.forEach((point, i) => {
+    [point.x, point.y, point.z || 0].forEach((value, axis) => {
+      const k = i * 3 + axis;
+      const derivative = (value - state.values[k]) / dt;
+      state.derivatives[k] += derivativeAlpha * (derivative - state.derivatives[k]);
+      
+      const cutoff = minCutoff + beta * Math.abs(state.derivatives[k]);
+      state.values[k] += oneEuroAlpha(cutoff, dt) * (value - state.values[k]);
+    });
+  });
+  
+  return landmarksFromValues(state.values);
+}
+
+function landmarksFromValues(values) {
+  const landmarks = [];
+  for (let k = 0; k < values.length; k += 3) {
+    landmarks.push({ x: values[k], y: values[k + 1], z: values[k + 2] });
+  }
+  return landmarks;
+}
+
+// ========================================
+// Head Pose (PnP)
+// ========================================
+
+// Assumed camera focal length, in units of the longer canvas side (~53° field of view
+// along it) - webcams and phone front cameras are close enough for a stable fit
+const CAMERA_FOCAL_LENGTH_RATIO = 1.0;
+
+// Generic adult head model in metres, origin at the nose tip. Head frame: x towards
+// image-right when facing the camera, y up, z out of the face towards the viewer.
+const HEAD_MODEL_POINTS = {
+  1:   [0, 0, 0],                // Nose tip
+  152: [0, -0.066, -0.013],      // Chin
+  33:  [-0.045, 0.034, -0.027],  // Image-left eye outer corner
+  263: [0.045, 0.034, -0.027],   // Image-right eye outer corner
+  61:  [-0.030, -0.030, -0.025], // Image-left mouth corner
+  291: [0.030, -0.030, -0.025],  // Image-right mouth corner
+  10:  [0, 0.085, -0.030],       // Forehead (hairline)
+  234: [-0.070, 0.020, -0.085],  // Image-left face edge
+  454: [0.070, 0.020, -0.085]    // Image-right face edge
+};
+
+// Nose bridge in the head frame - the origin eyewear models are authored around
+const HEAD_MODEL_NOSE_BRIDGE = [0, 0.034, -0.015];
+
+// Below this the warm-started solve is redone from a frontal guess
+const HEAD_POSE_MIN_CONFIDENCE = 0.5;
+
+// Reprojection error (in eye spans) at which confidence reaches zero
+const HEAD_POSE_MAX_RELATIVE_ERROR = 0.15;
+
+let headPoseSolution = null; // PnP solve of the current face (see setCurrentFace())
+
+function getCameraFocalLength(canvasWidth, canvasHeight) {
+  return Math.max(canvasWidth, canvasHeight) * CAMERA_FOCAL_LENGTH_RATIO;
+}
+
+// Rotation matrix (3x3, row-major arrays) from an axis-angle vector
+function rotationMatrixFromVector(v) {
+  const angle = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+  if (angle < 1e-12) return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  
+  const x = v[0] / angle, y = v[1] / angle, z = v[2] / angle;
+  const c = Math.cos(angle), s = Math.sin(angle), t = 1 - c;
+  return [
+    [t * x * x + c,     t * x * y - s * z, t * x * z + s * y],
+    [t * x * y + s * z, t * y * y + c,     t * y * z - s * x],
+    [t * x * z - s * y, t * y * z + s * x, t * z * z + c]
+  ];
+}
+
+// Head-frame point to camera space (x right, y down, z forward). The head frame's
+// y and z are flipped so the identity rotation faces the camera.
+function headPointToCamera(point, rotation, translation) {
+  const p = [point[0], -point[1], -point[2]];
+  return rotation.map((row, i) => row[0] * p[0] + row[1] * p[1] + row[2] * p[2] + translation[i]);
+}
+
+// Solve a small dense linear system (Gaussian elimination with partial pivoting)
+function solveLinearSystem(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => row.concat([vector[i]]));
+  
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+  
+  const result = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * result[k];
+    result[row] = sum / a[row][row];
+  }
+  return result;
+}
+
+/**
+ * Solve the head pose from face landmarks (Perspective-n-Point)
+ * 
+ * Fits HEAD_MODEL_POINTS to their detected positions with Levenberg-Marquardt,
+ * minimising reprojection error through a pinhole camera centred on the canvas.
+ * 
+ * @param {Array} landmarks - Face mesh landmarks (normalized)
+ * @param {number} canvasWidth
+ * @param {number} canvasHeight
+ * @param {Object} previous - Last solution, used as the starting guess (optional)
+ * @returns {Object|null} { rotationVector, rotation (3x3), translation (metres, camera space), rmsError (px), confidence (0-1) }
+ */
+function solveHeadPose(landmarks, canvasWidth, canvasHeight, previous = null) {
+  const focal = getCameraFocalLength(canvasWidth, canvasHeight);
+  const cx = canvasWidth / 2;
+  const cy = canvasHeight / 2;
+  
+  const modelPoints = [];
+  const imagePoints = [];
+  for (const index of Object.keys(HEAD_MODEL_POINTS)) {
+    const point = getLandmark(landmarks, Number(index), canvasWidth, canvasHeight);
+    if (!point) return null;
+    modelPoints.push(HEAD_MODEL_POINTS[index]);
+    imagePoints.push(point);
+  }
+  
+  const residuals = params => {
+    const rotation = rotationMatrixFromVector(params.slice(0, 3));
+    const translation = params.slice(3);
+    const result = [];
+    for (let i = 0; i < modelPoints.length; i++) {
+      const p = headPointToCamera(modelPoints[i], rotation, translation);
+      if (p[2] <= 0) return null;
+      result.push(focal * p[0] / p[2] + cx - imagePoints[i].x, focal * p[1] / p[2] + cy - imagePoints[i].y);
+    }
+    return result;
+  };
+  const sumSquares = r => r.reduce((sum, value) => sum + value * value, 0);
+  
+  // Start from the last frame, or from a frontal pose at the depth the eye span implies
+  let params;
+  if (previous) {
+    params = previous.rotationVector.concat(previous.translation);
+  } else {
+    const eyeSpan = calculateDistance(imagePoints[2], imagePoints[3]);
+    if (eyeSpan === 0) return null;
+    const depth = focal * 0.09 / eyeSpan;
+    params = [0, 0, 0, (imagePoints[0].x - cx) * depth / focal, (imagePoints[0].y - cy) * depth / focal, depth];
+  }
+  
+  let current = residuals(params);
+  if (!current) return null;
+  let error = sumSquares(current);
+  let damping = 1e-3;
+  
+  for (let iteration = 0; iteration < 20; iteration++) {
+    // Numerical Jacobian, one column per parameter
+    const jacobian = params.map((value, j) => {
+      const step = j < 3 ? 1e-5 : 1e-6;
+      const shifted = params.slice();
+      shifted[j] = value + step;
+      const r = residuals(shifted);
+      return r ? r.map((v, i) => (v - current[i]) / step) : null;
+    });
+    if (jacobian.includes(null)) break;
+    
+    const normal = jacobian.map(colA => jacobian.map(colB => colA.reduce((sum, v, i) => sum + v * colB[i], 0)));
+    const gradient = jacobian.map(col => -col.reduce((sum, v, i) => sum + v * current[i], 0));
+    
+    let improved = false;
+    while (damping < 1e6) {
+      const damped = normal.map((row, i) => row.map((v, j) => (i === j ? v * (1 + damping) : v)));
+      const delta = solveLinearSystem(damped, gradient);
+      const candidate = delta && params.map((v, i) => v + delta[i]);
+      const candidateResiduals = candidate && residuals(candidate);
+      if (candidateResiduals && sumSquares(candidateResiduals) < error) {
+        const gain = error - sumSquares(candidateResiduals);
+        params = candidate;
+        current = candidateResiduals;
+        error = sumSquares(current);
+        damping = Math.max(damping / 10, 1e-7);
+        improved = gain > 1e-6;
+        break;
+      }
+      damping *= 10;
+    }
+    if (!improved) break;
+  }
+  
+  // Judge the fit against the face's size in the image, so distance doesn't matter
+  const rmsError = Math.sqrt(error / modelPoints.length);
+  const eyeSpan = calculateDistance(imagePoints[2], imagePoints[3]) || 1;
+  
+  return {
+    rotationVector: params.slice(0, 3),
+    rotation: rotationMatrixFromVector(params.slice(0, 3)),
+    translation: params.slice(3),
+    rmsError,
+    confidence: Math.max(0, 1 - rmsError / eyeSpan / HEAD_POSE_MAX_RELATIVE_ERROR)
+  };
+}
+
+// Pitch (nodding down is positive), yaw (turning towards image-left is positive) and
+// roll (clockwise in the image is positive) in radians, for R = Rz(roll) Ry(yaw) Rx(pitch)
+function eulerFromRotationMatrix(R) {
+  return {
+    pitch: Math.atan2(R[2][1], R[2][2]),
+    yaw: Math.asin(Math.max(-1, Math.min(1, -R[2][0]))),
+    roll: Math.atan2(R[1][0], R[0][0])
+  };
+}
+
+/**
+ * Current head pose, for overlay placement and 3D rendering
+ * 
+ * Rotation is the pose overlays are drawn with; translation is the nose
+ * tip in camera space (x right, y down, z away from the camera).
+ * 
+ * @returns {Object|null} { rotation: { pitch, yaw, roll } in degrees,
+ *   translation: { x, y, z } in metres, confidence 0-1 } or null without a face
+ */
+function getHeadPose() {
+  if (!detectedLandmarks || !headPoseSolution) return null;
+  
+  const toDegrees = radians => radians * 180 / Math.PI;
+  const [x, y, z] = headPoseSolution.translation;
+  return {
+    rotation: {
+      pitch: toDegrees(faceRotation.pitch),
+      yaw: toDegrees(faceRotation.yaw),
+      roll: toDegrees(faceRotation.roll)
+    },
+    translation: { x, y, z },
+    confidence: headPoseSolution.confidence
+  };
+}
+
+// Glasses scale for the calibrated user: rules are tuned for an average face, so
+// someone with narrower-set eyes sees frames as relatively wider, as they would in a shop
+function calculateEyeDistanceScale() {
+  if (!currentFitProfile) return 1.0;
+  const scaleFactor = AVERAGE_PUPILLARY_DISTANCE_MM / currentFitProfile.pupillaryDistanceMm;
+  return Math.max(0.75, Math.min(1.35, scaleFactor));
+}
+
+// Hat/clothing scale for the calibrated user, from their real face width
+function calculateFaceWidthScale() {
+  if (!currentFitProfile) return 1.0;
+  const scaleFactor = AVERAGE_FACE_WIDTH_MM / currentFitProfile.faceWidthMm;
+  return Math.max(0.75, Math.min(1.35, scaleFactor));
+}
+
+// Build the face's up/right axes and size for estimating points off the mesh
+function getFaceFrame(landmarks, canvasWidth, canvasHeight) {
+  const forehead = getLandmark(landmarks, 10, canvasWidth, canvasHeight);
+  const chin = getLandmark(landmarks, 152, canvasWidth, canvasHeight);
+  const faceLeft = getLandmark(landmarks, 234, canvasWidth, canvasHeight);
+  const faceRight = getLandmark(landmarks, 454, canvasWidth, canvasHeight);
+  if (!forehead || !chin || !faceLeft || !faceRight) return null;
+  
+  const faceHeight = calculateDistance(chin, forehead);
+  if (faceHeight === 0) return null;
+  
+  const up = { x: (forehead.x - chin.x) / faceHeight, y: (forehead.y - chin.y) / faceHeight };
+  return {
+    forehead,
+    chin,
+    up,
+    right: { x: -up.y, y: up.x }, // Image-space right, perpendicular to up
+    faceHeight,
+    faceWidth: calculateDistance(faceLeft, faceRight)
+  };
+}
+
+// Offset a point along the face axes (up in face heights, right in face widths)
+function offsetFromFace(frame, origin, upHeights, rightWidths) {
+  return {
+    x: origin.x + frame.up.x * frame.faceHeight * upHeights + frame.right.x * frame.faceWidth * rightWidths,
+    y: origin.y + frame.up.y * frame.faceHeight * upHeights + frame.right.y * frame.faceWidth * rightWidths
+  };
+}
+
+// Resolve a product anchor's face binding (a FACE_ANCHOR_POINTS or DERIVED_ANCHOR_POINTS
+// name, or a raw landmark index) to a point in canvas coordinates. Body points use
+// pose tracking when available and face-based estimates otherwise.
+function getFaceAnchorPoint(landmarks, anchor, canvasWidth, canvasHeight) {
+  // Body points come from pose tracking when it's available
+  if (POSE_ANCHOR_LANDMARKS[anchor] !== undefined) {
+    const bodyPoint = getPoseAnchorPoint(anchor, canvasWidth, canvasHeight);
+    if (bodyPoint) return bodyPoint;
+  }
+  
+  if (DERIVED_ANCHOR_POINTS[anchor]) {
+    const frame = getFaceFrame(landmarks, canvasWidth, canvasHeight);
+    return frame ? DERIVED_ANCHOR_POINTS[anchor](frame) : null;
+  }
+  
+  const indices = typeof anchor === 'number' ? [anchor] : FACE_ANCHOR_POINTS[anchor];
+  if (!indices) return null;
+  
+  let sumX = 0, sumY = 0;
+  for (const index of indices) {
+    const point = getLandmark(landmarks, index, canvasWidth, canvasHeight);
+    if (!point) return null;
+    sumX += point.x;
+    sumY += point.y;
+  }
+  return { x: sumX / indices.length, y: sumY / indices.length };
+}
+
+/**
+ * Solve the similarity transform (uniform scale, rotation, translation) that best
+ * maps source points onto destination points in the least-squares sense.
+ * With exactly two point pairs the fit is exact.
+ * 
+ * @param {Array} srcPoints - Points in asset pixel coordinates
+ * @param {Array} dstPoints - Matching points in canvas coordinates
+ * @returns {Object|null} { scale, rotation, srcCentroid, dstCentroid } or null if degenerate
+ */
+function solveSimilarityTransform(srcPoints, dstPoints) {
+  const count = srcPoints.length;
+  if (count < 2 || dstPoints.length !== count) return null;
+  
+  const srcCentroid = { x: 0, y: 0 };
+  const dstCentroid = { x: 0, y: 0 };
+  for (let i = 0; i < count; i++) {
+    srcCentroid.x += srcPoints[i].x / count;
+    srcCentroid.y += srcPoints[i].y / count;
+    dstCentroid.x += dstPoints[i].x / count;
+    dstCentroid.y += dstPoints[i].y / count;
+  }
   
-  if (!faceLeft || !faceRight) return 1.0;
+  // Closed-form 2D Procrustes: a = scale*cos(rotation), b = scale*sin(rotation)
+  let a = 0, b = 0, srcSpread = 0;
+  for (let i = 0; i < count; i++) {
+    const sx = srcPoints[i].x - srcCentroid.x;
+    const sy = srcPoints[i].y - srcCentroid.y;
+    const dx = dstPoints[i].x - dstCentroid.x;
+    const dy = dstPoints[i].y - dstCentroid.y;
+    a += sx * dx + sy * dy;
+    b += sx * dy - sy * dx;
+    srcSpread += sx * sx + sy * sy;
+  }
+  
+  if (srcSpread < 1e-6) return null; // All anchors at the same spot
   
-  const currentFaceWidth = calculateDistance(faceLeft, faceRight);
+  return {
+    scale: Math.sqrt(a * a + b * b) / srcSpread,
+    rotation: Math.atan2(b, a),
+    srcCentroid,
+    dstCentroid
+  };
+}
+
+// Transform for a single anchor: sized from face width, rotated with the eye line
+function solveSingleAnchorTransform(srcPoint, dstPoint, landmarks, imgWidth, widthRatio) {
+  if (!widthRatio) return null;
   
-  // Scale based on face width ratio
-  const scaleFactor = currentFaceWidth / referenceFaceWidth;
+  const faceLeft = getLandmark(landmarks, 234, canvas.width, canvas.height);
+  const faceRight = getLandmark(landmarks, 454, canvas.width, canvas.height);
+  const leftEye = getLandmark(landmarks, 33, canvas.width, canvas.height);
+  const rightEye = getLandmark(landmarks, 263, canvas.width, canvas.height);
+  if (!faceLeft || !faceRight || !leftEye || !rightEye) return null;
   
-  // Clamp scale factor to reasonable range (0.4x to 2.5x)
-  return Math.max(0.4, Math.min(2.5, scaleFactor));
+  return {
+    scale: (calculateDistance(faceLeft, faceRight) * widthRatio) / imgWidth,
+    rotation: Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x),
+    srcCentroid: srcPoint,
+    dstCentroid: dstPoint
+  };
 }
 
-// Calculate distance-based scale factor (fallback/overall)
-function calculateDistanceScale() {
-  if (!referenceFaceSize || !detectedLandmarks) return 1.0;
+// Mirror anchors for the right-hand copy of a paired overlay (null if any anchor
+// isn't a named "left" point with a "right" counterpart)
+function mirrorAnchors(anchors, imgWidth) {
+  const mirrored = [];
+  for (const anchor of anchors) {
+    const landmark = mirrorAnchorName(anchor.landmark);
+    if (!landmark) return null;
+    mirrored.push({ x: imgWidth - anchor.x, y: anchor.y, landmark });
+  }
+  return mirrored;
+}
+
+// "leftEyeOuter" -> "rightEyeOuter", or null if the binding has no right-hand counterpart
+function mirrorAnchorName(name) {
+  if (typeof name !== 'string' || !name.startsWith('left')) return null;
+  const mirrored = 'right' + name.slice('left'.length);
+  return FACE_ANCHOR_POINTS[mirrored] || DERIVED_ANCHOR_POINTS[mirrored] ? mirrored : null;
+}
+
+/**
+ * Place an overlay from the product's own anchor points
+ * 
+ * Each anchor pairs a pixel position in the asset (e.g. a lens centre or the end of
+ * a hat band) with a face point. The fitted transform is applied about the anchor
+ * centroid so manual scale keeps the anchors centred on the face.
+ * 
+ * A single anchor only fixes position: size then comes from widthRatio (a fraction
+ * of face width) and rotation from the eye line.
+ * 
+ * @param {Array} anchors - [{ x, y, landmark }] from the product's fitting metadata
+ * @param {number} widthRatio - Overlay width / face width, required for single-anchor fits
+ * @returns {Object|null} Position data like calculateOverlayPosition(), plus the fitted roll
+ */
+function calculateAnchoredOverlayPosition(anchors, landmarks, imgWidth, imgHeight, scale = 1.0, offsetY = 0.0, widthRatio = null) {
+  const canvasWidth = canvas.width;
+  const canvasHeight = canvas.height;
   
-  const faceBox = calculateFaceBox(detectedLandmarks, canvas.width, canvas.height);
-  const currentFaceSize = Math.sqrt(faceBox.width * faceBox.width + faceBox.height * faceBox.height);
+  const srcPoints = [];
+  const dstPoints = [];
+  for (const anchor of anchors) {
+    const facePoint = getFaceAnchorPoint(landmarks, anchor.landmark, canvasWidth, canvasHeight);
+    if (!facePoint) return null;
+    srcPoints.push({ x: anchor.x, y: anchor.y });
+    dstPoints.push(facePoint);
+  }
+  
+  const transform = srcPoints.length === 1
+    ? solveSingleAnchorTransform(srcPoints[0], dstPoints[0], landmarks, imgWidth, widthRatio)
+    : solveSimilarityTransform(srcPoints, dstPoints);
+  if (!transform) return null;
   
-  // Scale inversely proportional to face size (closer = larger face = larger overlay)
-  const scaleFactor = referenceFaceSize / currentFaceSize;
+  // Map the asset centre through the fitted transform (with manual scale)
+  const fittedScale = transform.scale * scale;
+  const cos = Math.cos(transform.rotation);
+  const sin = Math.sin(transform.rotation);
+  const relX = imgWidth / 2 - transform.srcCentroid.x;
+  const relY = imgHeight / 2 - transform.srcCentroid.y;
   
-  // Clamp scale factor to reasonable range (0.5x to 2x)
-  return Math.max(0.5, Math.min(2.0, scaleFactor));
+  const centerX = transform.dstCentroid.x + fittedScale * (relX * cos - relY * sin);
+  const centerY = transform.dstCentroid.y + fittedScale * (relX * sin + relY * cos) + (canvasHeight * offsetY);
+  const width = imgWidth * fittedScale;
+  const height = imgHeight * fittedScale;
+  
+  return {
+    x: centerX - width / 2,
+    y: centerY - height / 2,
+    width, height,
+    centerX, centerY,
+    roll: transform.rotation
+  };
 }
 
 /**
@@ -351,8 +1399,12 @@ function calculateDistanceScale() {
  *    - Hats: Aligned with forehead landmark and face center
  *    - Shirts: Aligned with chin landmark and body center
  * 
+ * Products that declare anchor points in their fitting metadata are placed by
+ * calculateAnchoredOverlayPosition() instead; the rules above are the fallback.
+ * 
  * 3. CONTINUOUS UPDATES:
- *    - Automatically adjusts as user moves closer/farther (distance-based scaling)
+ *    - Automatically adjusts as user moves closer/farther (sizes follow the face)
+ *    - Uses the calibrated user's real face measurements when a fit profile is set
  *    - Tracks rotation and applies perspective transformations
  *    - Maintains proportions across different face sizes
  * 
@@ -360,10 +1412,20 @@ function calculateDistanceScale() {
  * @param {Array} landmarks - MediaPipe face mesh landmarks (468 points)
  * @param {number} imgWidth - Overlay image width
  * @param {number} imgHeight - Overlay image height
+ * @param {number} scale - Per-layer manual scale adjustment
+ * @param {number} offsetY - Per-layer vertical offset (fraction of canvas height)
+ * @param {Object} fitting - Product fitting metadata (optional anchors)
  * @returns {Object} Position and size data with rotation center points
  */
-function calculateOverlayPosition(type, landmarks, imgWidth, imgHeight) {
+function calculateOverlayPosition(type, landmarks, imgWidth, imgHeight, scale = 1.0, offsetY = 0.0, fitting = null) {
   if (!landmarks || !type) return null;
+  
+  if (fitting && fitting.anchors) {
+    const anchored = calculateAnchoredOverlayPosition(
+      fitting.anchors, landmarks, imgWidth, imgHeight, scale, offsetY, fitting.widthRatio
+    );
+    if (anchored) return anchored;
+  }
 
   const canvasWidth = canvas.width;
   const canvasHeight = canvas.height;
@@ -395,7 +1457,7 @@ function calculateOverlayPosition(type, landmarks, imgWidth, imgHeight) {
       const eyeScale = calculateEyeDistanceScale();
       
       // Calculate width based on eye distance with smart fitting
-      width = eyeDistance * fittingMultiplier * overlayScale * eyeScale;
+      width = eyeDistance * fittingMultiplier * scale * eyeScale;
       
       // Calculate precise center position aligned with eye level
       centerX = (leftEye.x + rightEye.x) / 2;
@@ -417,16 +1479,16 @@ function calculateOverlayPosition(type, landmarks, imgWidth, imgHeight) {
       
       // Position glasses centered on eyes, slightly above eye level
       x = centerX - width / 2;
-      y = centerY - height * 0.45 + (canvasHeight * overlayOffsetY);
+      y = centerY - height * 0.45 + (canvasHeight * offsetY);
     } else {
       // Fallback to face box if eyes not detected
-      const fallbackScale = calculateDistanceScale();
-      width = faceBox.width * 0.6 * fittingMultiplier * overlayScale * fallbackScale;
+      const fallbackScale = calculateFaceWidthScale();
+      width = faceBox.width * 0.6 * fittingMultiplier * scale * fallbackScale;
       height = (imgHeight / imgWidth) * width;
       centerX = faceBox.x + faceBox.width / 2;
       centerY = faceBox.y + faceBox.height * 0.25;
       x = centerX - width / 2;
-      y = centerY - height * 0.5 + (canvasHeight * overlayOffsetY);
+      y = centerY - height * 0.5 + (canvasHeight * offsetY);
     }
   } 
   else if (type === 'hat') {
@@ -445,7 +1507,7 @@ function calculateOverlayPosition(type, landmarks, imgWidth, imgHeight) {
       const faceScale = calculateFaceWidthScale();
       
       // Calculate width based on face width with smart fitting
-      width = faceWidth * fittingMultiplier * overlayScale * faceScale;
+      width = faceWidth * fittingMultiplier * scale * faceScale;
       height = (imgHeight / imgWidth) * width;
       
       // Precise positioning aligned with forehead and face center
@@ -455,29 +1517,29 @@ function calculateOverlayPosition(type, landmarks, imgWidth, imgHeight) {
         centerY = forehead.y;
         x = centerX - width / 2;
         // Position hat above forehead
-        y = forehead.y - height * 0.75 + (canvasHeight * overlayOffsetY);
+        y = forehead.y - height * 0.75 + (canvasHeight * offsetY);
       } else if (leftEye && rightEye) {
         // Fallback: estimate forehead from eye position
         const eyeMidpointY = (leftEye.y + rightEye.y) / 2;
         centerX = (faceLeft.x + faceRight.x) / 2;
         centerY = eyeMidpointY - faceBox.height * 0.15;
         x = centerX - width / 2;
-        y = centerY - height * 0.75 + (canvasHeight * overlayOffsetY);
+        y = centerY - height * 0.75 + (canvasHeight * offsetY);
       } else {
         centerX = faceBox.x + faceBox.width / 2;
         centerY = faceBox.y;
         x = centerX - width / 2;
-        y = faceBox.y - height * 0.7 + (canvasHeight * overlayOffsetY);
+        y = faceBox.y - height * 0.7 + (canvasHeight * offsetY);
       }
     } else {
       // Fallback
-      const fallbackScale = calculateDistanceScale();
-      width = faceBox.width * fittingMultiplier * overlayScale * fallbackScale;
+      const fallbackScale = calculateFaceWidthScale();
+      width = faceBox.width * fittingMultiplier * scale * fallbackScale;
       height = (imgHeight / imgWidth) * width;
       centerX = faceBox.x + faceBox.width / 2;
       centerY = faceBox.y;
       x = centerX - width / 2;
-      y = faceBox.y - height * 0.7 + (canvasHeight * overlayOffsetY);
+      y = faceBox.y - height * 0.7 + (canvasHeight * offsetY);
     }
   }
   else if (type === 'shirt') {
@@ -495,7 +1557,7 @@ function calculateOverlayPosition(type, landmarks, imgWidth, imgHeight) {
       const faceScale = calculateFaceWidthScale();
       
       // Calculate width based on jaw width with smart fitting
-      width = jawWidth * fittingMultiplier * overlayScale * faceScale;
+      width = jawWidth * fittingMultiplier * scale * faceScale;
       height = (imgHeight / imgWidth) * width;
       
       // Precise positioning aligned with chin and body center
@@ -505,28 +1567,28 @@ function calculateOverlayPosition(type, landmarks, imgWidth, imgHeight) {
         centerY = chin.y;
         x = centerX - width / 2;
         // Position shirt starting from chin level
-        y = chin.y - height * 0.25 + (canvasHeight * overlayOffsetY);
+        y = chin.y - height * 0.25 + (canvasHeight * offsetY);
       } else if (noseTip) {
         // Fallback: estimate chin position from nose
         centerX = (jawLeft.x + jawRight.x) / 2;
         centerY = noseTip.y + faceBox.height * 0.3;
         x = centerX - width / 2;
-        y = centerY - height * 0.25 + (canvasHeight * overlayOffsetY);
+        y = centerY - height * 0.25 + (canvasHeight * offsetY);
       } else {
         centerX = faceBox.x + faceBox.width / 2;
         centerY = faceBox.y + faceBox.height * 0.6;
         x = centerX - width / 2;
-        y = faceBox.y + faceBox.height * 0.6 + (canvasHeight * overlayOffsetY);
+        y = faceBox.y + faceBox.height * 0.6 + (canvasHeight * offsetY);
       }
     } else {
       // Fallback
-      const fallbackScale = calculateDistanceScale();
-      width = faceBox.width * fittingMultiplier * overlayScale * fallbackScale;
+      const fallbackScale = calculateFaceWidthScale();
+      width = faceBox.width * fittingMultiplier * scale * fallbackScale;
       height = (imgHeight / imgWidth) * width;
       centerX = faceBox.x + faceBox.width / 2;
       centerY = faceBox.y + faceBox.height * 0.6;
       x = centerX - width / 2;
-      y = faceBox.y + faceBox.height * 0.6 + (canvasHeight * overlayOffsetY);
+      y = faceBox.y + faceBox.height * 0.6 + (canvasHeight * offsetY);
     }
   }
   else {
@@ -562,180 +1624,255 @@ function calculateFaceBox(landmarks, width, height) {
 }
 
 /**
- * Analyze lighting from video frame
- * Samples the face region and surrounding area to detect brightness and color temperature
+ * Analyze lighting from video frame on the main thread (when the detection worker isn't running)
+ * Samples the face to detect brightness, color temperature and where the light comes from
  */
-function analyzeLighting(sourceImage, faceBox) {
+function analyzeLighting(sourceImage, landmarks) {
   if (!lightingSampleCtx || !sourceImage) return;
   
   try {
-    // Resize source to sample canvas for efficient analysis
-    lightingSampleCtx.clearRect(0, 0, lightingSampleCanvas.width, lightingSampleCanvas.height);
-    lightingSampleCtx.drawImage(
-      sourceImage,
-      0, 0, sourceImage.width, sourceImage.height,
-      0, 0, lightingSampleCanvas.width, lightingSampleCanvas.height
-    );
-    
-    // Sample pixels from the face region (if detected) or center region
-    const sampleSize = Math.min(lightingSampleCanvas.width, lightingSampleCanvas.height);
-    const centerX = faceBox ? (faceBox.x / canvas.width) * lightingSampleCanvas.width : lightingSampleCanvas.width / 2;
-    const centerY = faceBox ? (faceBox.y / canvas.height) * lightingSampleCanvas.height : lightingSampleCanvas.height / 2;
-    const sampleRadius = sampleSize * 0.3;
-    
-    const imageData = lightingSampleCtx.getImageData(
-      Math.max(0, centerX - sampleRadius),
-      Math.max(0, centerY - sampleRadius),
-      Math.min(sampleRadius * 2, lightingSampleCanvas.width - (centerX - sampleRadius)),
-      Math.min(sampleRadius * 2, lightingSampleCanvas.height - (centerY - sampleRadius))
-    );
-    
-    const data = imageData.data;
-    let totalR = 0, totalG = 0, totalB = 0;
-    let maxBrightness = 0;
-    let minBrightness = 255;
-    let pixelCount = 0;
-    
-    // Analyze each pixel
-    for (let i = 0; i < data.length; i += 4) {
-      const r = data[i];
-      const g = data[i + 1];
-      const b = data[i + 2];
-      
-      // Calculate brightness (luminance)
-      const brightness = 0.299 * r + 0.587 * g + 0.114 * b;
-      maxBrightness = Math.max(maxBrightness, brightness);
-      minBrightness = Math.min(minBrightness, brightness);
-      
-      totalR += r;
-      totalG += g;
-      totalB += b;
-      pixelCount++;
+    const measured = measureSceneLighting(lightingSampleCtx, sourceImage, getLightProbe(landmarks));
+    if (measured) {
+      applyMeasuredLighting(measured);
     }
-    
-    if (pixelCount === 0) return;
-    
-    // Calculate average RGB
-    const avgR = totalR / pixelCount;
-    const avgG = totalG / pixelCount;
-    const avgB = totalB / pixelCount;
-    const avgBrightness = (maxBrightness + minBrightness) / 2;
-    const contrastRange = maxBrightness - minBrightness;
-    
-    // Calculate brightness adjustment (normalize to 0-1 range, then scale)
-    const brightnessRatio = avgBrightness / 128; // 128 is middle gray
-    targetLighting.brightness = Math.max(0.5, Math.min(1.5, brightnessRatio));
-    
-    // Calculate contrast (based on dynamic range)
-    const contrastRatio = contrastRange / 128;
-    targetLighting.contrast = Math.max(0.8, Math.min(1.3, 0.9 + contrastRatio * 0.4));
-    
-    // Calculate saturation (colorfulness)
-    const colorVariance = Math.sqrt(
-      Math.pow(avgR - avgBrightness, 2) +
-      Math.pow(avgG - avgBrightness, 2) +
-      Math.pow(avgB - avgBrightness, 2)
-    ) / 128;
-    targetLighting.saturation = Math.max(0.7, Math.min(1.3, 0.9 + colorVariance * 0.4));
-    
-    // Calculate color temperature from RGB balance
-    // Warmer (red/yellow) = lower temp, Cooler (blue) = higher temp
-    const colorBalance = avgR > avgB ? (avgR / (avgR + avgB)) : (avgB / (avgR + avgB));
-    // Map to color temperature range (2000K-10000K)
-    targetLighting.temperature = 4000 + (colorBalance * 4000); // Adjust range as needed
-    
-    // Smooth transitions to avoid flickering
-    const smoothingFactor = 0.85; // Higher = slower transitions
-    lightingAnalysis.brightness = lightingAnalysis.brightness * smoothingFactor + targetLighting.brightness * (1 - smoothingFactor);
-    lightingAnalysis.contrast = lightingAnalysis.contrast * smoothingFactor + targetLighting.contrast * (1 - smoothingFactor);
-    lightingAnalysis.saturation = lightingAnalysis.saturation * smoothingFactor + targetLighting.saturation * (1 - smoothingFactor);
-    lightingAnalysis.temperature = lightingAnalysis.temperature * smoothingFactor + targetLighting.temperature * (1 - smoothingFactor);
-    
   } catch (err) {
     // Silently fail if analysis encounters issues
     console.warn('Lighting analysis error:', err);
   }
 }
 
+// Take a new camera measurement as the lighting to ease towards (ignored in manual mode)
+function applyMeasuredLighting(measured) {
+  if (lightingMode !== 'auto') return;
+  Object.assign(targetLighting, measured);
+  syncLightingPanel();
+}
+
+// Smooth transitions towards the latest measurement to avoid flickering
+const LIGHTING_SMOOTHING = 0.95; // Per drawn frame - higher = slower transitions
+
+const LIGHTING_SETTLED = 0.002; // Relative difference at which the lighting counts as caught up
+
+// Returns true while the lighting is still changing
+function blendLighting() {
+  let changing = false;
+  ['brightness', 'contrast', 'saturation', 'temperature', 'lightX', 'lightY'].forEach(key => {
+    const target = targetLighting[key];
+    if (Math.abs(lightingAnalysis[key] - target) > Math.max(Math.abs(target), 1) * LIGHTING_SETTLED) {
+      lightingAnalysis[key] = lightingAnalysis[key] * LIGHTING_SMOOTHING + target * (1 - LIGHTING_SMOOTHING);
+      changing = true;
+    } else {
+      lightingAnalysis[key] = target;
+    }
+  });
+  return changing;
+}
+
+// ========================================
+// Mesh Warp Rendering
+// ========================================
+
 /**
- * Apply lighting adaptation to an image using canvas filters
- * Returns a filtered image element
+ * Delaunay triangulation (Bowyer-Watson) of a warp mesh's asset-space vertices
+ * 
+ * Used when a catalog mesh lists vertices without triangles.
+ * 
+ * @param {Array} points - [{ x, y }] in asset pixels
+ * @returns {Array} Triangles as [i, j, k] vertex index triples
  */
-function applyLightingAdaptation(image) {
-  if (!lightingAnalysis.enabled || !image) return image;
-  
-  // Create temporary canvas for lighting effects
-  const tempCanvas = document.createElement('canvas');
-  tempCanvas.width = image.width;
-  tempCanvas.height = image.height;
-  const tempCtx = tempCanvas.getContext('2d');
+function triangulateMeshVertices(points) {
+  const count = points.length;
+  if (count < 3) return [];
   
-  // Draw original image
-  tempCtx.drawImage(image, 0, 0);
-  
-  // Get image data
-  const imageData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
-  const data = imageData.data;
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  points.forEach(p => {
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+  });
+  const span = Math.max(maxX - minX, maxY - minY, 1);
+  const midX = (minX + maxX) / 2;
+  const midY = (minY + maxY) / 2;
   
-  // Apply lighting adjustments
-  const brightness = lightingAnalysis.brightness;
-  const contrast = lightingAnalysis.contrast;
-  const saturation = lightingAnalysis.saturation;
-  const tempAdjustment = (lightingAnalysis.temperature - 6500) / 6500; // Normalize around 6500K
+  // Start from a super-triangle enclosing every point
+  const pts = points.map(p => ({ x: p.x, y: p.y })).concat([
+    { x: midX - 20 * span, y: midY - span },
+    { x: midX, y: midY + 20 * span },
+    { x: midX + 20 * span, y: midY - span }
+  ]);
+  let triangles = [[count, count + 1, count + 2]];
   
-  for (let i = 0; i < data.length; i += 4) {
-    let r = data[i];
-    let g = data[i + 1];
-    let b = data[i + 2];
+  for (let i = 0; i < count; i++) {
+    const point = pts[i];
+    const bad = triangles.filter(t => isInCircumcircle(point, pts[t[0]], pts[t[1]], pts[t[2]]));
     
-    // Apply brightness
-    r = r * brightness;
-    g = g * brightness;
-    b = b * brightness;
-    
-    // Apply contrast
-    const contrastFactor = (259 * (contrast * 255 + 255)) / (255 * (259 - contrast * 255));
-    r = contrastFactor * (r - 128) + 128;
-    g = contrastFactor * (g - 128) + 128;
-    b = contrastFactor * (b - 128) + 128;
+    // The hole's boundary is every edge used by exactly one bad triangle
+    const boundary = [];
+    bad.forEach(t => {
+      [[t[0], t[1]], [t[1], t[2]], [t[2], t[0]]].forEach(edge => {
+        const shared = boundary.findIndex(e => e[0] === edge[1] && e[1] === edge[0]);
+        if (shared >= 0) boundary.splice(shared, 1);
+        else boundary.push(edge);
+      });
+    });
     
-    // Apply color temperature (warm/cool shift)
-    if (tempAdjustment > 0) {
-      // Cooler (add blue, reduce red)
-      r = r * (1 - tempAdjustment * 0.3);
-      b = b * (1 + tempAdjustment * 0.3);
-    } else {
-      // Warmer (add red/yellow, reduce blue)
-      r = r * (1 - tempAdjustment * 0.3);
-      g = g * (1 - tempAdjustment * 0.2);
-      b = b * (1 + tempAdjustment * 0.3);
+    triangles = triangles.filter(t => !bad.includes(t));
+    boundary.forEach(edge => triangles.push([edge[0], edge[1], i]));
+  }
+  
+  // Drop triangles touching the super-triangle
+  return triangles.filter(t => t[0] < count && t[1] < count && t[2] < count);
+}
+
+function isInCircumcircle(p, a, b, c) {
+  const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+  if (Math.abs(d) < 1e-9) return false;
+  
+  const a2 = a.x * a.x + a.y * a.y;
+  const b2 = b.x * b.x + b.y * b.y;
+  const c2 = c.x * c.x + c.y * c.y;
+  const ux = (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d;
+  const uy = (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d;
+  
+  return Math.pow(p.x - ux, 2) + Math.pow(p.y - uy, 2) < Math.pow(a.x - ux, 2) + Math.pow(a.y - uy, 2);
+}
+
+/**
+ * Place a warp mesh on the face/body
+ * 
+ * Bound vertices (those with a landmark) go exactly to their face or body point.
+ * Unbound vertices follow the best rigid fit of the bound ones, plus an
+ * inverse-distance blend of how far the bound vertices moved from that fit - so
+ * when one side of the face compresses as the head turns, nearby free vertices
+ * compress with it.
+ * 
+ * @param {Array} vertices - [{ x, y, landmark? }] in asset pixels
+ * @returns {Object|null} { meshVertices, roll } with vertices in canvas coordinates
+ */
+function calculateMeshPlacement(vertices, landmarks, scale = 1.0, offsetY = 0.0) {
+  const canvasWidth = canvas.width;
+  const canvasHeight = canvas.height;
+  
+  const bound = [];
+  for (const vertex of vertices) {
+    if (vertex.landmark === undefined) continue;
+    const target = getFaceAnchorPoint(landmarks, vertex.landmark, canvasWidth, canvasHeight);
+    if (!target) return null;
+    bound.push({ src: vertex, dst: target });
+  }
+  
+  const transform = solveSimilarityTransform(bound.map(b => b.src), bound.map(b => b.dst));
+  if (!transform) return null;
+  
+  const cos = Math.cos(transform.rotation) * transform.scale;
+  const sin = Math.sin(transform.rotation) * transform.scale;
+  const rigid = p => {
+    const relX = p.x - transform.srcCentroid.x;
+    const relY = p.y - transform.srcCentroid.y;
+    return {
+      x: transform.dstCentroid.x + relX * cos - relY * sin,
+      y: transform.dstCentroid.y + relX * sin + relY * cos
+    };
+  };
+  
+  const residuals = bound.map(b => {
+    const fitted = rigid(b.src);
+    return { src: b.src, dx: b.dst.x - fitted.x, dy: b.dst.y - fitted.y };
+  });
+  
+  const boundIndex = new Map(bound.map(b => [b.src, b.dst]));
+  const center = transform.dstCentroid;
+  
+  const meshVertices = vertices.map(vertex => {
+    let point = boundIndex.get(vertex);
+    if (!point) {
+      point = rigid(vertex);
+      let weightSum = 0, dx = 0, dy = 0;
+      residuals.forEach(r => {
+        const weight = 1 / (Math.pow(vertex.x - r.src.x, 2) + Math.pow(vertex.y - r.src.y, 2) + 1);
+        weightSum += weight;
+        dx += r.dx * weight;
+        dy += r.dy * weight;
+      });
+      point = { x: point.x + dx / weightSum, y: point.y + dy / weightSum };
     }
     
-    // Apply saturation
-    const gray = 0.299 * r + 0.587 * g + 0.114 * b;
-    r = gray + (r - gray) * saturation;
-    g = gray + (g - gray) * saturation;
-    b = gray + (b - gray) * saturation;
-    
-    // Clamp values
-    data[i] = Math.max(0, Math.min(255, r));
-    data[i + 1] = Math.max(0, Math.min(255, g));
-    data[i + 2] = Math.max(0, Math.min(255, b));
+    // Manual scale about the bound centroid, then vertical offset
+    return {
+      x: center.x + (point.x - center.x) * scale,
+      y: center.y + (point.y - center.y) * scale + canvasHeight * offsetY
+    };
+  });
+  
+  return { meshVertices, roll: transform.rotation };
+}
+
+// Mirror a mesh's bindings for the right-hand copy of a paired overlay (asset
+// coordinates are mirrored for fitting; textures still sample the original sprite)
+function mirrorMeshVertices(vertices, imgWidth) {
+  const mirrored = [];
+  for (const vertex of vertices) {
+    if (vertex.landmark === undefined) {
+      mirrored.push({ x: imgWidth - vertex.x, y: vertex.y });
+      continue;
+    }
+    const landmark = mirrorAnchorName(vertex.landmark);
+    if (!landmark) return null;
+    mirrored.push({ x: imgWidth - vertex.x, y: vertex.y, landmark });
   }
+  return mirrored;
+}
+
+// Draw one textured triangle: map the source triangle in the image onto the
+// destination triangle with an affine transform, clipped to the destination
+function drawTexturedTriangle(image, s0, s1, s2, d0, d1, d2) {
+  const denom = (s1.x - s0.x) * (s2.y - s0.y) - (s2.x - s0.x) * (s1.y - s0.y);
+  if (Math.abs(denom) < 1e-6) return;
   
-  // Put modified data back
-  tempCtx.putImageData(imageData, 0, 0);
+  const a = ((d1.x - d0.x) * (s2.y - s0.y) - (d2.x - d0.x) * (s1.y - s0.y)) / denom;
+  const b = ((d1.y - d0.y) * (s2.y - s0.y) - (d2.y - d0.y) * (s1.y - s0.y)) / denom;
+  const c = ((d2.x - d0.x) * (s1.x - s0.x) - (d1.x - d0.x) * (s2.x - s0.x)) / denom;
+  const d = ((d2.y - d0.y) * (s1.x - s0.x) - (d1.y - d0.y) * (s2.x - s0.x)) / denom;
+  const e = d0.x - a * s0.x - c * s0.y;
+  const f = d0.y - b * s0.x - d * s0.y;
   
-  // Create new image from canvas
-  const adaptedImage = new Image();
-  adaptedImage.src = tempCanvas.toDataURL();
-  adaptedImage.width = image.width;
-  adaptedImage.height = image.height;
+  // Grow the clip slightly so neighbouring triangles overlap and hide seams
+  const cx = (d0.x + d1.x + d2.x) / 3;
+  const cy = (d0.y + d1.y + d2.y) / 3;
+  const grow = p => {
+    const len = Math.sqrt(Math.pow(p.x - cx, 2) + Math.pow(p.y - cy, 2)) || 1;
+    return { x: p.x + (p.x - cx) / len * 0.75, y: p.y + (p.y - cy) / len * 0.75 };
+  };
+  const g0 = grow(d0), g1 = grow(d1), g2 = grow(d2);
+  
+  ctx.save();
+  ctx.beginPath();
+  ctx.moveTo(g0.x, g0.y);
+  ctx.lineTo(g1.x, g1.y);
+  ctx.lineTo(g2.x, g2.y);
+  ctx.closePath();
+  ctx.clip();
+  ctx.transform(a, b, c, d, e, f);
+  ctx.drawImage(image, 0, 0);
+  ctx.restore();
+}
+
+// Draw a sprite warped over a placed mesh, with lighting adaptation
+function drawWarpedMesh(image, textureVertices, triangles, meshVertices) {
+  ctx.save();
+  triangles.forEach(([i, j, k]) => {
+    drawTexturedTriangle(
+      image,
+      textureVertices[i], textureVertices[j], textureVertices[k],
+      meshVertices[i], meshVertices[j], meshVertices[k]
+    );
+  });
   
-  return adaptedImage;
+  ctx.restore();
 }
 
-// Draw rotated overlay using canvas transformations with lighting adaptation
+// Draw rotated overlay using canvas transformations (sprites arrive already lit, see getLitSprite())
 function drawRotatedOverlay(image, pos, rotation) {
   if (!pos || !image || !rotation) return;
   
@@ -762,35 +1899,9 @@ function drawRotatedOverlay(image, pos, rotation) {
   // Apply scaling (yaw affects horizontal, pitch affects vertical)
   ctx.scale(yawScale, pitchScale);
   
-  // Apply lighting adaptation filters if enabled
-  if (lightingAnalysis.enabled) {
-    // Use globalCompositeOperation for blending modes
-    ctx.globalCompositeOperation = 'source-over';
-    
-    // Apply brightness and contrast using filter operations
-    ctx.filter = `brightness(${lightingAnalysis.brightness}) contrast(${lightingAnalysis.contrast}) saturate(${lightingAnalysis.saturation})`;
-    
-    // For color temperature, we'll use a color matrix approach via globalCompositeOperation
-    // This is more performant than pixel-by-pixel manipulation
-    const tempRatio = (lightingAnalysis.temperature - 6500) / 6500;
-    
-    // Create a color overlay for temperature adjustment
-    if (Math.abs(tempRatio) > 0.05) { // Only apply if significant change
-      const tempAlpha = Math.abs(tempRatio) * 0.3; // Subtle effect
-      if (tempRatio > 0) {
-        // Cooler (blue tint)
-        ctx.globalCompositeOperation = 'multiply';
-        ctx.fillStyle = `rgba(150, 180, 255, ${tempAlpha})`;
-        ctx.fillRect(-pos.width / 2, -pos.height / 2, pos.width, pos.height);
-        ctx.globalCompositeOperation = 'source-over';
-      } else {
-        // Warmer (orange/yellow tint)
-        ctx.globalCompositeOperation = 'multiply';
-        ctx.fillStyle = `rgba(255, 220, 180, ${Math.abs(tempAlpha)})`;
-        ctx.fillRect(-pos.width / 2, -pos.height / 2, pos.width, pos.height);
-        ctx.globalCompositeOperation = 'source-over';
-      }
-    }
+  // Right-hand copies of paired overlays (lashes, earrings) are drawn mirrored
+  if (pos.mirrorX) {
+    ctx.scale(-1, 1);
   }
   
   // Draw image centered at origin (since we translated to center)
@@ -802,492 +1913,4061 @@ function drawRotatedOverlay(image, pos, rotation) {
     pos.height
   );
   
-  // Reset filter
-  ctx.filter = 'none';
-  ctx.globalCompositeOperation = 'source-over';
-  
   // Restore canvas state
   ctx.restore();
 }
 
-// Draw video/image + overlay with face detection and lighting adaptation
-function draw() {
-  let faceBox = null;
-  
-  if (isUsingUploadedImage) {
-    if (uploadedImg.complete && uploadedImg.naturalWidth > 0) {
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      ctx.drawImage(uploadedImg, 0, 0, canvas.width, canvas.height);
-      
-      // Analyze lighting from uploaded image (throttled for performance)
-      if (detectedLandmarks && lightingAnalysis.enabled) {
-        faceBox = calculateFaceBox(detectedLandmarks, canvas.width, canvas.height);
-        // Analyze every 5 frames (20% frequency) for performance
-        if (frameCount % 5 === 0) {
-          analyzeLighting(uploadedImg, faceBox);
-        }
-      }
-      frameCount++;
-      
-      if (overlayImg && overlayImg.complete && overlaySrc && detectedLandmarks) {
-        const pos = calculateOverlayPosition(overlayType, detectedLandmarks, overlayImg.width, overlayImg.height);
-        if (pos) {
-          // Draw with rotation transformation and lighting adaptation
-          drawRotatedOverlay(overlayImg, pos, faceRotation);
-        }
+// ========================================
+// Lighting Compositor
+// ========================================
+// Colour-corrects product sprites to match the scene and renders their contact
+// shadows. A small WebGL canvas does the pixel work in shaders, with straight
+// alpha in and premultiplied alpha out, and the 2D canvas composites the result.
+// Without WebGL the same effects are built with Canvas 2D filters. Either way
+// everything ends up on the main canvas, so downloadImage() is unchanged.
+
+const COMPOSITOR_VERTEX_SHADER = `
+  attribute vec2 position;
+  varying vec2 uv;
+  void main() {
+    uv = position * 0.5 + 0.5;
+    gl_Position = vec4(position, 0.0, 1.0);
+  }
+`;
+
+// Brightness, contrast and saturation as CSS filters do them, white balance gains, then
+// directional shading: the side facing the light is brightened and gets a soft highlight,
+// the far side is darkened. Works on straight (unpremultiplied) colour so transparent
+// pixels stay transparent.
+const LIGHTING_FRAGMENT_SHADER = `
+  precision mediump float;
+  uniform sampler2D image;
+  uniform float brightness;
+  uniform float contrast;
+  uniform float saturation;
+  uniform vec3 whiteBalance;
+  uniform vec2 lightDirection;  // In image space (y down), length = how directional
+  uniform float shading;
+  uniform float highlight;
+  varying vec2 uv;
+  void main() {
+    vec4 texel = texture2D(image, uv);
+    vec3 color = texel.rgb * brightness;
+    color = (color - 0.5) * contrast + 0.5;
+    float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+    color = mix(vec3(luma), color, saturation);
+    color *= whiteBalance;
+    
+    vec2 fromCentre = vec2(uv.x, 1.0 - uv.y) * 2.0 - 1.0;
+    float facing = dot(fromCentre, lightDirection);
+    color = color * (1.0 + facing * shading) + max(facing, 0.0) * max(facing, 0.0) * highlight;
+    color = clamp(color, 0.0, 1.0);
+    gl_FragColor = vec4(color * texel.a, texel.a);
+  }
+`;
+
+// Gaussian blur of the alpha channel, as premultiplied black
+const SHADOW_FRAGMENT_SHADER = `
+  precision mediump float;
+  uniform sampler2D image;
+  uniform vec2 blurStep;
+  varying vec2 uv;
+  void main() {
+    float alpha = 0.0;
+    float total = 0.0;
+    for (int x = -4; x <= 4; x++) {
+      for (int y = -4; y <= 4; y++) {
+        float weight = exp(-float(x * x + y * y) / 8.0);
+        alpha += texture2D(image, uv + vec2(float(x), float(y)) * blurStep).a * weight;
+        total += weight;
       }
     }
-  } else {
-    // Camera mode
-    if (video.readyState >= 2) {
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    gl_FragColor = vec4(0.0, 0.0, 0.0, alpha / total);
+  }
+`;
 
-      // Analyze lighting from video feed (throttled for performance)
-      if (detectedLandmarks && lightingAnalysis.enabled) {
-        faceBox = calculateFaceBox(detectedLandmarks, canvas.width, canvas.height);
-        // Analyze every 3 frames (~33% frequency) for real-time performance
-        if (frameCount % 3 === 0) {
-          analyzeLighting(video, faceBox);
-        }
-      }
-      frameCount++;
+// How strongly overlays are shaded by directional light (see LIGHTING_FRAGMENT_SHADER)
+const DIRECTIONAL_SHADING = 0.35;
+const DIRECTIONAL_HIGHLIGHT = 0.15;
 
-      if (overlayImg && overlayImg.complete && overlaySrc && detectedLandmarks) {
-        const pos = calculateOverlayPosition(overlayType, detectedLandmarks, overlayImg.width, overlayImg.height);
-        if (pos) {
-          // Draw with rotation transformation and lighting adaptation
-          drawRotatedOverlay(overlayImg, pos, faceRotation);
-        }
-      }
+let compositor = null;          // { gl, canvas, lightingProgram, shadowProgram, texture }
+let compositorFailed = false;
+let fallbackLitCanvas = null;   // Canvas 2D scratch for renderLitImage() without WebGL
+let litSpriteCache = new WeakMap();    // sprite -> { normal, mirrored } of { key, canvas }
+let shadowSpriteCache = new WeakMap(); // sprite -> { key, canvas }
+
+function compileCompositorProgram(gl, fragmentSource) {
+  const program = gl.createProgram();
+  [[gl.VERTEX_SHADER, COMPOSITOR_VERTEX_SHADER], [gl.FRAGMENT_SHADER, fragmentSource]].forEach(([type, source]) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(gl.getShaderInfoLog(shader));
     }
-    requestAnimationFrame(draw);
+    gl.attachShader(program, shader);
+  });
+  gl.bindAttribLocation(program, 0, 'position');
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(gl.getProgramInfoLog(program));
   }
+  return program;
 }
 
-// Capture photo from webcam
-function setupEventListeners() {
-  if (!captureBtn || !saveBtn || !backToCameraBtn) {
-    console.error('Buttons not found for event listeners');
-    return;
-  }
+// Lazily create the WebGL compositor; null (Canvas 2D fallback) if WebGL is unavailable
+function getCompositor() {
+  if (compositor || compositorFailed) return compositor;
   
-  captureBtn.addEventListener('click', async () => {
   try {
-    // Capture current frame from video (before overlay is drawn)
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = video.videoWidth;
-    tempCanvas.height = video.videoHeight;
-    const tempCtx = tempCanvas.getContext('2d');
-    tempCtx.drawImage(video, 0, 0, tempCanvas.width, tempCanvas.height);
-    
-    // Convert to image data
-    uploadedImg.src = tempCanvas.toDataURL('image/png');
-    uploadedImg.style.display = 'block';
-    
-    // Stop camera
-    if (camera) {
-      camera.stop();
-      camera = null;
-    }
-    
-    isUsingUploadedImage = true;
+    const glCanvas = document.createElement('canvas');
+    const gl = glCanvas.getContext('webgl', { premultipliedAlpha: true, alpha: true, antialias: false });
+    if (!gl) throw new Error('WebGL is not available');
     
-    // Set canvas size
-    canvas.width = tempCanvas.width;
-    canvas.height = tempCanvas.height;
+    const quad = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
     
-    status.textContent = 'Processing captured photo...';
-    status.className = 'status';
-    
-    // Wait for image to load and process with face mesh
-    await uploadedImg.decode();
-    await faceMesh.send({ image: uploadedImg });
-    
-    // Draw the captured image on canvas
-    draw();
-    
-    status.textContent = 'Photo captured! ✓';
-    status.className = 'status detected';
-    
-    // Show back to camera button
-    backToCameraBtn.style.display = 'block';
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    // Sprites are uploaded unpremultiplied, upright in texture space
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
     
-    // Start draw loop for captured images
-    if (isUsingUploadedImage) {
-      function drawLoop() {
-        draw();
-        if (isUsingUploadedImage) {
-          requestAnimationFrame(drawLoop);
-        }
-      }
-      drawLoop();
+    compositor = {
+      gl,
+      canvas: glCanvas,
+      lightingProgram: compileCompositorProgram(gl, LIGHTING_FRAGMENT_SHADER),
+      shadowProgram: compileCompositorProgram(gl, SHADOW_FRAGMENT_SHADER),
+      texture
+    };
+  } catch (err) {
+    console.warn('WebGL compositor unavailable, using Canvas 2D lighting:', err.message);
+    compositorFailed = true;
+  }
+  return compositor;
+}
+
+// Run one compositor shader over an image; the result is on compositor.canvas until the next call
+function runCompositorPass(image, program, filter, setUniforms) {
+  const { gl, canvas: glCanvas, texture } = compositor;
+  if (glCanvas.width !== image.width || glCanvas.height !== image.height) {
+    glCanvas.width = image.width;
+    glCanvas.height = image.height;
+  }
+  gl.viewport(0, 0, image.width, image.height);
+  gl.clearColor(0, 0, 0, 0);
+  gl.clear(gl.COLOR_BUFFER_BIT);
+  
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+  
+  gl.useProgram(program);
+  gl.uniform1i(gl.getUniformLocation(program, 'image'), 0);
+  setUniforms(name => gl.getUniformLocation(program, name));
+  gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  return glCanvas;
+}
+
+// Per-channel gains for the colour temperature shift: a subtle blue tint when the
+// scene is cool, orange/yellow when warm, none when close to neutral (6500K)
+function getWhiteBalanceGain() {
+  const tempRatio = (lightingAnalysis.temperature - 6500) / 6500;
+  if (Math.abs(tempRatio) <= 0.05) return [1, 1, 1];
+  
+  const strength = Math.abs(tempRatio) * 0.3;
+  const tint = tempRatio > 0 ? [150, 180, 255] : [255, 220, 180];
+  return tint.map(channel => 1 - strength + strength * channel / 255);
+}
+
+// Canvas filter string for the current lighting adaptation (Canvas 2D fallback)
+function getLightingFilter() {
+  if (!lightingAnalysis.enabled) return 'none';
+  return `brightness(${lightingAnalysis.brightness}) contrast(${lightingAnalysis.contrast}) saturate(${lightingAnalysis.saturation})`;
+}
+
+// Light direction as seen from a sprite drawn rotated by roll (and maybe mirrored),
+// rounded to 15 degree / 0.1 steps so it can be cached
+function getSpriteLightDirection(roll, mirrored) {
+  const cos = Math.cos(roll);
+  const sin = Math.sin(roll);
+  let x = lightingAnalysis.lightX * cos + lightingAnalysis.lightY * sin;
+  const y = -lightingAnalysis.lightX * sin + lightingAnalysis.lightY * cos;
+  if (mirrored) x = -x;
+  
+  const strength = Math.round(Math.hypot(x, y) * 10) / 10;
+  if (strength === 0) return [0, 0];
+  const step = Math.PI / 12;
+  const angle = Math.round(Math.atan2(y, x) / step) * step;
+  return [Math.cos(angle) * strength, Math.sin(angle) * strength];
+}
+
+// Cache key for lit sprites - rounded so slow lighting drift doesn't re-render every frame
+function getLightingKey(lightDirection) {
+  return [
+    lightingAnalysis.brightness.toFixed(2),
+    lightingAnalysis.contrast.toFixed(2),
+    lightingAnalysis.saturation.toFixed(2),
+    Math.round(lightingAnalysis.temperature / 50),
+    lightDirection.map(v => v.toFixed(2)).join(',')
+  ].join('|');
+}
+
+// Darken the far side and lighten the near side of a 2D canvas (Canvas 2D fallback)
+function drawDirectionalShading(targetCtx, width, height, lightDirection) {
+  const strength = Math.hypot(lightDirection[0], lightDirection[1]);
+  if (strength === 0) return;
+  
+  const dx = lightDirection[0] / strength;
+  const dy = lightDirection[1] / strength;
+  const reach = Math.abs(dx) * width / 2 + Math.abs(dy) * height / 2;
+  const gradient = (from, to) => {
+    const g = targetCtx.createLinearGradient(
+      width / 2 - dx * reach, height / 2 - dy * reach,
+      width / 2 + dx * reach, height / 2 + dy * reach
+    );
+    g.addColorStop(0, from);
+    g.addColorStop(0.5, to);
+    g.addColorStop(1, to);
+    return g;
+  };
+  const dark = Math.round(255 * (1 - strength * DIRECTIONAL_SHADING));
+  
+  targetCtx.globalCompositeOperation = 'multiply';
+  targetCtx.fillStyle = gradient(`rgb(${dark}, ${dark}, ${dark})`, 'rgb(255, 255, 255)');
+  targetCtx.fillRect(0, 0, width, height);
+  
+  targetCtx.globalCompositeOperation = 'screen';
+  const lit = targetCtx.createLinearGradient(
+    width / 2, height / 2,
+    width / 2 + dx * reach, height / 2 + dy * reach
+  );
+  lit.addColorStop(0, 'rgba(255, 255, 255, 0)');
+  lit.addColorStop(1, `rgba(255, 255, 255, ${strength * (DIRECTIONAL_SHADING + DIRECTIONAL_HIGHLIGHT)})`);
+  targetCtx.fillStyle = lit;
+  targetCtx.fillRect(0, 0, width, height);
+}
+
+/**
+ * Colour-correct an image for the current lighting
+ * @param {Array} lightDirection - [x, y] towards the light in the image's own space
+ *   (see getSpriteLightDirection()); [0, 0] for no directional shading
+ * @returns {HTMLCanvasElement} Only valid until the next compositor call - copy it to keep it
+ */
+function renderLitImage(image, lightDirection = [0, 0]) {
+  if (getCompositor()) {
+    const gl = compositor.gl;
+    return runCompositorPass(image, compositor.lightingProgram, gl.NEAREST, uniform => {
+      gl.uniform1f(uniform('brightness'), lightingAnalysis.brightness);
+      gl.uniform1f(uniform('contrast'), lightingAnalysis.contrast);
+      gl.uniform1f(uniform('saturation'), lightingAnalysis.saturation);
+      gl.uniform3fv(uniform('whiteBalance'), getWhiteBalanceGain());
+      gl.uniform2fv(uniform('lightDirection'), lightDirection);
+      gl.uniform1f(uniform('shading'), DIRECTIONAL_SHADING);
+      gl.uniform1f(uniform('highlight'), DIRECTIONAL_HIGHLIGHT);
+    });
+  }
+  
+  // Canvas 2D: filters, then the white balance tint kept inside the sprite's own pixels
+  if (!fallbackLitCanvas) {
+    fallbackLitCanvas = document.createElement('canvas');
+  }
+  const litCanvas = fallbackLitCanvas;
+  litCanvas.width = image.width;
+  litCanvas.height = image.height;
+  const litCtx = litCanvas.getContext('2d');
+  litCtx.filter = getLightingFilter();
+  litCtx.drawImage(image, 0, 0);
+  litCtx.filter = 'none';
+  const [r, g, b] = getWhiteBalanceGain();
+  litCtx.globalCompositeOperation = 'multiply';
+  litCtx.fillStyle = `rgb(${r * 255}, ${g * 255}, ${b * 255})`;
+  litCtx.fillRect(0, 0, litCanvas.width, litCanvas.height);
+  drawDirectionalShading(litCtx, litCanvas.width, litCanvas.height, lightDirection);
+  litCtx.globalCompositeOperation = 'destination-in';
+  litCtx.drawImage(image, 0, 0);
+  return litCanvas;
+}
+
+// Copy a compositor result into a canvas of its own
+function copyToCanvas(source, target) {
+  const copy = target || document.createElement('canvas');
+  copy.width = source.width;
+  copy.height = source.height;
+  copy.getContext('2d').drawImage(source, 0, 0);
+  return copy;
+}
+
+/**
+ * A sprite colour-corrected and shaded for the current lighting, re-rendered only when it changes
+ * @param {number} roll - Rotation the sprite is drawn at, so the shading follows the scene's light
+ * @param {boolean} mirrored - Drawn flipped (right-hand copies of paired overlays); cached separately
+ */
+function getLitSprite(sprite, roll = 0, mirrored = false) {
+  if (!lightingAnalysis.enabled) return sprite;
+  
+  const lightDirection = getSpriteLightDirection(roll, mirrored);
+  const key = getLightingKey(lightDirection);
+  const variants = litSpriteCache.get(sprite) || {};
+  const variant = mirrored ? 'mirrored' : 'normal';
+  const cached = variants[variant];
+  if (cached && cached.key === key) return cached.canvas;
+  
+  try {
+    const canvasCopy = copyToCanvas(renderLitImage(sprite, lightDirection), cached && cached.canvas);
+    variants[variant] = { key, canvas: canvasCopy };
+    litSpriteCache.set(sprite, variants);
+    return canvasCopy;
+  } catch (err) {
+    console.warn('Lighting adaptation failed for a sprite:', err);
+    return sprite;
+  }
+}
+
+// Black silhouette of a sprite blurred by blurRadius pixels, for contact shadows (null if it can't be made)
+function getShadowSprite(sprite, blurRadius) {
+  const key = blurRadius.toFixed(1);
+  const cached = shadowSpriteCache.get(sprite);
+  if (cached && cached.key === key) return cached.canvas;
+  
+  let shadow = null;
+  try {
+    if (getCompositor()) {
+      const gl = compositor.gl;
+      // The shader takes 9x9 taps spread over the radius
+      shadow = copyToCanvas(runCompositorPass(sprite, compositor.shadowProgram, gl.LINEAR, uniform => {
+        gl.uniform2f(uniform('blurStep'), blurRadius / 4 / sprite.width, blurRadius / 4 / sprite.height);
+      }));
+    } else {
+      shadow = document.createElement('canvas');
+      shadow.width = sprite.width;
+      shadow.height = sprite.height;
+      const shadowCtx = shadow.getContext('2d');
+      shadowCtx.filter = `blur(${blurRadius / 2}px) brightness(0)`;
+      shadowCtx.drawImage(sprite, 0, 0);
     }
   } catch (err) {
-    status.textContent = 'Capture failed: ' + err.message;
-    status.className = 'status error';
+    console.warn('Contact shadow failed for a sprite:', err);
+  }
+  shadowSpriteCache.set(sprite, { key, canvas: shadow });
+  return shadow;
+}
+
+// Move a placement down the canvas by dy pixels
+function offsetPlacement(pos, dy) {
+  if (pos.meshVertices) {
+    return { ...pos, meshVertices: pos.meshVertices.map(v => ({ x: v.x, y: v.y + dy })) };
   }
+  return { ...pos, centerY: pos.centerY + dy };
+}
+
+// Limit drawing to the head silhouette
+function clipToHead(landmarks, craniumLift = 0) {
+  ctx.beginPath();
+  getHeadSilhouette(landmarks, craniumLift).forEach((point, i) => {
+    if (i === 0) ctx.moveTo(point.x, point.y);
+    else ctx.lineTo(point.x, point.y);
   });
+  ctx.closePath();
+  ctx.clip();
+}
 
-  // Save image
-  saveBtn.addEventListener('click', async () => {
-  // If in camera mode, we need to capture first
-  if (!isUsingUploadedImage) {
-    status.textContent = 'Capturing photo...';
-    captureBtn.click();
-    // Wait for capture to complete
-    await new Promise(resolve => setTimeout(resolve, 1500));
+/**
+ * Draw the soft shadow a product casts on the face (glasses on the cheeks, hat brims on the forehead)
+ * The shadow is the sprite's silhouette, blurred, shifted down and clipped to the head.
+ */
+function drawContactShadow(layer, pos) {
+  const strategy = OVERLAY_TYPE_STRATEGIES[layer.type] || {};
+  const shadowSettings = strategy.contactShadow;
+  if (!shadowSettings || !detectedLandmarks) return;
+  
+  const top = getLandmark(detectedLandmarks, FACE_LANDMARKS.glasses.top, canvas.width, canvas.height);
+  const bottom = getLandmark(detectedLandmarks, FACE_LANDMARKS.glasses.bottom, canvas.width, canvas.height);
+  const faceHeight = calculateDistance(top, bottom);
+  const shadow = getShadowSprite(layer.sprite, Math.max(1, layer.sprite.width * shadowSettings.blur));
+  if (!shadow) return;
+  
+  ctx.save();
+  clipToHead(detectedLandmarks, HEAD_SILHOUETTE_CRANIUM_LIFT);
+  ctx.globalAlpha = shadowSettings.opacity;
+  drawLayerSprite(shadow, offsetPlacement(pos, faceHeight * shadowSettings.offsetY), false);
+  ctx.restore();
+}
+
+// Get worn layers sorted back-to-front by slot z-order
+function getOrderedLayers(layers = overlayLayers) {
+  return Object.values(layers).sort(
+    (a, b) => LAYER_SLOTS[a.slot].zIndex - LAYER_SLOTS[b.slot].zIndex
+  );
+}
+
+// Work out where a layer is drawn - one placement, or two for paired types
+function calculateLayerPlacements(layer, landmarks) {
+  const strategy = OVERLAY_TYPE_STRATEGIES[layer.type] || {};
+  const imgWidth = layer.sprite.width;
+  const imgHeight = layer.sprite.height;
+  const anchorsUsable = !(strategy.anchorsNeedPose && !isPoseTrackingBody());
+  
+  // A warp mesh replaces the rigid fit wherever anchors would be used
+  const mesh = layer.fitting.mesh;
+  if (mesh && anchorsUsable) {
+    const placements = [];
+    const meshPos = calculateMeshPlacement(mesh.vertices, landmarks, layer.scale, layer.offsetY);
+    if (meshPos) placements.push({ ...meshPos, textureVertices: mesh.vertices, triangles: mesh.triangles });
+    
+    if (strategy.paired) {
+      const mirrored = mirrorMeshVertices(mesh.vertices, imgWidth);
+      const mirroredPos = mirrored && calculateMeshPlacement(mirrored, landmarks, layer.scale, layer.offsetY);
+      if (mirroredPos) placements.push({ ...mirroredPos, textureVertices: mesh.vertices, triangles: mesh.triangles, mirrorX: true });
+    }
+    
+    if (placements.length > 0) return placements.map(pos => applyLayerAdjustment(pos, layer, landmarks));
   }
   
-    downloadImage();
-  });
+  // Fall back to the type's default anchors when the product declares none
+  let anchors = layer.fitting.anchors;
+  if (!anchorsUsable) {
+    anchors = null;
+  } else if (!anchors && strategy.defaultAnchors) {
+    anchors = strategy.defaultAnchors.map(anchor => ({
+      x: anchor.fx * imgWidth,
+      y: anchor.fy * imgHeight,
+      landmark: anchor.landmark
+    }));
+  }
+  const fitting = { ...layer.fitting, anchors, widthRatio: layer.fitting.widthRatio || strategy.widthRatio };
+  
+  const placements = [];
+  const pos = calculateOverlayPosition(layer.type, landmarks, imgWidth, imgHeight, layer.scale, layer.offsetY, fitting);
+  if (pos) placements.push(pos);
+  
+  if (strategy.paired && anchors) {
+    const mirrored = mirrorAnchors(anchors, imgWidth);
+    const mirroredPos = mirrored && calculateAnchoredOverlayPosition(
+      mirrored, landmarks, imgWidth, imgHeight, layer.scale, layer.offsetY, fitting.widthRatio
+    );
+    if (mirroredPos) placements.push({ ...mirroredPos, mirrorX: true });
+  }
+  
+  return placements.map(pos => applyLayerAdjustment(pos, layer, landmarks));
+}
 
-  // Back to camera button
-  backToCameraBtn.addEventListener('click', () => {
-    resetToCamera();
+// ========================================
+// 3D Model Try-On
+// ========================================
+
+// Approximate head volume in the head frame, rendered depth-only so the far arms
+// of 3D frames disappear behind the head
+const HEAD_OCCLUDER = { center: [0, 0.01, -0.085], radii: [0.075, 0.1, 0.09] };
+// Key light position with even scene lighting; shifted towards the measured light direction
+const MODEL_KEY_LIGHT = [0.3, 0.5, 1];
+
+// three.js is only loaded once a product with a model is worn - the bundled copy
+// if there is one, otherwise the CDN
+const THREE_SCRIPTS = [
+  { vendor: 'vendor/three/three.min.js', cdn: 'https://cdn.jsdelivr.net/npm/three@0.147.0/build/three.min.js' },
+  { vendor: 'vendor/three/GLTFLoader.js', cdn: 'https://cdn.jsdelivr.net/npm/three@0.147.0/examples/js/loaders/GLTFLoader.js' }
+];
+
+let modelRenderer = null;       // { renderer, scene, camera, head, occluder }, created on first use
+let modelRendererFailed = false; // WebGL or three.js unavailable - products fall back to PNG
+let threeLoading = null;         // Promise of three.js and GLTFLoader, once first needed
+const productModelCache = {};    // Model src -> Promise of the loaded glTF scene
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Could not load ${src}`));
+    document.head.appendChild(script);
   });
 }
 
-function downloadImage() {
+// Load three.js and its GLTFLoader in order, each from vendor/ or else its CDN
+function loadThree() {
+  if (!threeLoading) {
+    threeLoading = THREE_SCRIPTS.reduce(
+      (previous, script) => previous.then(() => loadScript(script.vendor).catch(() => loadScript(script.cdn))),
+      Promise.resolve()
+    );
+  }
+  return threeLoading;
+}
+
+// Create the offscreen WebGL renderer for 3D products, or null if it can't run here
+function getModelRenderer() {
+  if (modelRenderer || modelRendererFailed) return modelRenderer;
+  
   try {
-    // Get canvas data
-    const imageData = canvas.toDataURL('image/png');
+    if (typeof THREE === 'undefined') throw new Error('three.js is not loaded');
     
-    // Create download link
-    const link = document.createElement('a');
-    link.download = `virtual-tryon-${Date.now()}.png`;
-    link.href = imageData;
-    link.click();
+    const renderer = new THREE.WebGLRenderer({
+      canvas: document.createElement('canvas'),
+      alpha: true,
+      antialias: true,
+      preserveDrawingBuffer: true
+    });
+    renderer.setClearColor(0x000000, 0);
+    renderer.outputEncoding = THREE.sRGBEncoding;
     
-    status.textContent = 'Image saved! ✓';
-    status.className = 'status detected';
-    setTimeout(() => {
-      if (isUsingUploadedImage) {
-        status.textContent = 'Photo captured! ✓';
-      } else {
-        status.textContent = 'Face detection active';
-      }
-    }, 2000);
+    const scene = new THREE.Scene();
+    scene.add(new THREE.HemisphereLight(0xffffff, 0x444444, 0.9));
+    const keyLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    keyLight.position.set(...MODEL_KEY_LIGHT);
+    scene.add(keyLight);
+    
+    // Everything worn on the head hangs off this group, posed from the PnP solve
+    const head = new THREE.Group();
+    head.matrixAutoUpdate = false;
+    scene.add(head);
+    
+    const occluder = new THREE.Mesh(
+      new THREE.SphereGeometry(1, 24, 16),
+      new THREE.MeshBasicMaterial({ colorWrite: false })
+    );
+    occluder.position.set(...HEAD_OCCLUDER.center);
+    occluder.scale.set(...HEAD_OCCLUDER.radii);
+    occluder.renderOrder = -1;
+    head.add(occluder);
+    
+    modelRenderer = { renderer, scene, camera: new THREE.PerspectiveCamera(50, 1, 0.01, 10), head, occluder, keyLight };
   } catch (err) {
-    status.textContent = 'Failed to save image';
-    status.className = 'status error';
+    console.warn('3D try-on unavailable, using PNG overlays:', err.message);
+    modelRendererFailed = true;
   }
+  return modelRenderer;
 }
 
-// Product Library and Shopping Cart System
-let shoppingCart = [];
-let currentCategory = 'all';
+// Load a product's glTF/GLB model once; every layer wearing it gets its own clone
+function loadProductModel(src) {
+  if (!productModelCache[src]) {
+    productModelCache[src] = new THREE.GLTFLoader().loadAsync(src).then(gltf => gltf.scene);
+  }
+  return productModelCache[src];
+}
 
-// Product data structure
-const products = [
-  { id: 1, name: 'Classic Glasses', src: 'assets/glasses.png', type: 'glasses', category: 'glasses', price: 29.99 },
-  { id: 2, name: 'Classic Hat', src: 'assets/hat.png', type: 'hat', category: 'hat', price: 24.99 },
-  { id: 4, name: 'Hello Kitty Glasses', src: 'assets/hello_kitty_glasses.png', type: 'glasses', category: 'glasses', price: 34.99 },
-  { id: 5, name: 'Oval Black Glasses', src: 'assets/oval_black_glasses.png', type: 'glasses', category: 'glasses', price: 49.99 },
-  { id: 6, name: 'Round Black Glasses', src: 'assets/round_black_glasses.png', type: 'glasses', category: 'glasses', price: 44.99 },
-  { id: 7, name: 'Square Red Glasses', src: 'assets/square_red_glasses.png', type: 'glasses', category: 'glasses', price: 39.99 },
-  { id: 9, name: 'Blue Woolen Hat', src: 'assets/blue_woolen_hat.png', type: 'hat', category: 'hat', price: 29.99 },
-  { id: 18, name: 'Suit with Bow Tie', src: 'assets/suit_with_bow_tie.png', type: 'shirt', category: 'shirt', price: 149.99 }
-];
+// Start loading the 3D model (and three.js, the first time) for a layer whose product has one
+function attachLayerModel(layer, modelSpec) {
+  if (!modelSpec || modelRendererFailed) return;
+  
+  loadThree()
+    .then(() => {
+      if (!getModelRenderer() || typeof THREE.GLTFLoader === 'undefined') return null;
+      return loadProductModel(modelSpec.src);
+    })
+    .then(scene => {
+      if (!scene) return;
+      // The layer may have been replaced while the model was loading
+      if (!faceTracks.some(track => track.layers[layer.slot] === layer) && !isCompareTileLayer(layer)) return;
+      
+      const model = new THREE.Group();
+      const clone = scene.clone(true);
+      // Authored extent, for hit-testing taps on the rendered model
+      layer.modelBounds = new THREE.Box3().setFromObject(clone);
+      model.add(clone);
+      const offset = modelSpec.offset || [0, 0, 0];
+      model.position.set(
+        HEAD_MODEL_NOSE_BRIDGE[0] + offset[0],
+        HEAD_MODEL_NOSE_BRIDGE[1] + offset[1],
+        HEAD_MODEL_NOSE_BRIDGE[2] + offset[2]
+      );
+      layer.model = model;
+      layer.modelScale = modelSpec.scale || 1.0;
+      requestRender();
+    })
+    .catch(err => {
+      console.warn(`Could not load 3D model ${modelSpec.src}, using the PNG:`, err.message);
+    });
+}
 
-// Apply product to try-on (used by both thumbnail buttons and product library)
-function applyProduct(src, type) {
-  // Remove active state from all thumbnails and product cards
-  document.querySelectorAll('.thumb').forEach(b => b.classList.remove('active'));
-  document.querySelectorAll('.product-card').forEach(card => {
-    card.classList.remove('ring-2', 'ring-blue-500');
-  });
+/**
+ * Camera-space pose of a layer's 3D model
+ * 
+ * The offset slider, nudge and rotation trim act in the image plane, like they do
+ * for sprites: shifts are moved at the depth of the model's origin, and the trim
+ * turns the model about the view axis through that origin.
+ * 
+ * @returns {Object} { rotation, translation } in the form headPointToCamera() takes
+ */
+function getModelCameraPose(layer, focal) {
+  const R = headPoseSolution.rotation;
+  const t = headPoseSolution.translation;
   
-  // Find and activate matching product card
-  if (src) {
-    const productCard = document.querySelector(`[data-product-src="${src}"]`);
-    if (productCard) {
-      productCard.classList.add('ring-2', 'ring-blue-500');
-    }
-  }
+  const position = layer.model.position;
+  const pivot = headPointToCamera([position.x, position.y, position.z], R, t);
   
-  if (!src) {
-    overlaySrc = '';
-    overlayType = '';
-    overlayImg = null;
-    draw();
-    return;
-  }
+  const faceWidth = getFaceWidthPx(detectedLandmarks);
+  const roll = faceRotation.roll || 0;
+  const nudgeX = (layer.nudgeX || 0) * faceWidth;
+  const nudgeY = (layer.nudgeY || 0) * faceWidth;
+  const perPixel = pivot[2] / focal;
+  const shiftX = (nudgeX * Math.cos(roll) - nudgeY * Math.sin(roll)) * perPixel;
+  const shiftY = (nudgeX * Math.sin(roll) + nudgeY * Math.cos(roll) + layer.offsetY * canvas.height) * perPixel;
   
-  overlayImg = new Image();
-  overlayImg.onload = () => { 
-    overlaySrc = src;
-    overlayType = type;
-    draw();
+  const cos = Math.cos(layer.rotationTrim || 0);
+  const sin = Math.sin(layer.rotationTrim || 0);
+  const turn = v => [v[0] * cos - v[1] * sin, v[0] * sin + v[1] * cos, v[2]];
+  
+  const columns = [0, 1, 2].map(j => turn([R[0][j], R[1][j], R[2][j]]));
+  const fromPivot = turn([t[0] - pivot[0], t[1] - pivot[1], t[2] - pivot[2]]);
+  return {
+    rotation: [0, 1, 2].map(i => columns.map(column => column[i])),
+    translation: [
+      fromPivot[0] + pivot[0] + shiftX,
+      fromPivot[1] + pivot[1] + shiftY,
+      fromPivot[2] + pivot[2]
+    ]
   };
-  overlayImg.src = src;
 }
 
-// Render products in library
-function renderProducts(category = 'all') {
-  const productGrid = document.getElementById('productGrid');
-  const filteredProducts = category === 'all' 
-    ? products 
-    : products.filter(p => p.category === category);
+/**
+ * Render a layer's 3D model at the solved head pose and composite it into the canvas
+ * 
+ * The head frame maps to camera space through the PnP rotation/translation; three.js
+ * looks down -z with y up, so both ends are flipped (F = diag(1, -1, -1)).
+ * 
+ * @returns {boolean} true if drawn, false to fall back to the PNG sprite
+ */
+function drawModelLayer(layer) {
+  const state = getModelRenderer();
+  if (!state || !headPoseSolution) return false;
   
-  productGrid.innerHTML = filteredProducts.map(product => `
-    <div class="bg-gray-700 rounded-lg p-2.5 hover:bg-gray-600 transition cursor-pointer product-card focus-within:ring-2 focus-within:ring-blue-400" data-product-src="${product.src}" tabindex="0">
-      <div class="flex gap-2.5">
-        <img src="${product.src}" alt="${product.name}" class="w-16 h-16 object-contain bg-gray-800 rounded flex-shrink-0" onerror="this.src='data:image/svg+xml,%3Csvg xmlns=%27http://www.w3.org/2000/svg%27 width=%27200%27 height=%27200%27%3E%3Crect fill=%27%23333%27 width=%27200%27 height=%27200%27/%3E%3Ctext fill=%27%23999%27 font-family=%27sans-serif%27 font-size=%2714%27 dy=%2710.5%27 font-weight=%27bold%27 x=%2750%25%27 y=%2750%25%27 text-anchor=%27middle%27%3ENo Image%3C/text%3E%3C/svg%3E';">
-        <div class="flex-1 min-w-0">
-          <h3 class="font-semibold text-sm mb-0.5 leading-tight">${product.name}</h3>
-          <p class="text-xs text-gray-400 mb-1.5">${product.category.charAt(0).toUpperCase() + product.category.slice(1)}</p>
-          <div class="flex items-center justify-between gap-2">
-            <span class="text-green-400 font-bold text-sm">$${product.price.toFixed(2)}</span>
-            <div class="flex gap-1.5">
-              <button class="bg-blue-600 hover:bg-blue-700 text-white px-2.5 py-1 rounded text-xs try-on-btn focus:outline-none focus:ring-2 focus:ring-blue-400" data-src="${product.src}" data-type="${product.type}">
-                Try On
-              </button>
-              <button class="bg-green-600 hover:bg-green-700 text-white px-2.5 py-1 rounded text-xs add-to-cart-btn focus:outline-none focus:ring-2 focus:ring-green-400" data-product-id="${product.id}">
-                + Cart
-              </button>
-            </div>
-          </div>
-        </div>
-      </div>
-    </div>
-  `).join('');
+  const { renderer, scene, camera, head, keyLight } = state;
+  const width = canvas.width;
+  const height = canvas.height;
+  const focal = getCameraFocalLength(width, height);
   
-  // Add event listeners
-  document.querySelectorAll('.try-on-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const src = btn.dataset.src;
-      const type = btn.dataset.type;
-      applyProduct(src, type);
-    });
-  });
+  renderer.setSize(width, height, false);
+  // Light the model from where the scene's light comes from (image y is down, three.js y is up)
+  const lightX = lightingAnalysis.enabled ? lightingAnalysis.lightX : 0;
+  const lightY = lightingAnalysis.enabled ? lightingAnalysis.lightY : 0;
+  keyLight.position.set(MODEL_KEY_LIGHT[0] + lightX, MODEL_KEY_LIGHT[1] - lightY, MODEL_KEY_LIGHT[2]);
+  camera.fov = 2 * Math.atan(height / 2 / focal) * 180 / Math.PI;
+  camera.aspect = width / height;
+  camera.updateProjectionMatrix();
   
-  document.querySelectorAll('.add-to-cart-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const productId = parseInt(btn.dataset.productId);
-      addToCart(productId);
-    });
-  });
+  const pose = getModelCameraPose(layer, focal);
+  const R = pose.rotation;
+  const t = pose.translation;
   
-  // Click on product card to try on
-  document.querySelectorAll('.product-card').forEach(card => {
-    card.addEventListener('click', (e) => {
-      if (!e.target.classList.contains('add-to-cart-btn') && !e.target.classList.contains('try-on-btn')) {
-        const src = card.dataset.productSrc;
-        const product = products.find(p => p.src === src);
-        if (product) {
-          applyProduct(src, product.type);
-        }
-      }
-    });
+  head.matrix.set(
+    R[0][0], -R[0][1], -R[0][2], t[0],
+    -R[1][0], R[1][1], R[1][2], -t[1],
+    -R[2][0], R[2][1], R[2][2], -t[2],
+    0, 0, 0, 1
+  );
+  head.matrixWorldNeedsUpdate = true;
+  
+  layer.model.scale.setScalar(layer.modelScale * layer.scale);
+  head.add(layer.model);
+  renderer.render(scene, camera);
+  head.remove(layer.model);
+  
+  const rendered = lightingAnalysis.enabled ? renderLitImage(renderer.domElement) : renderer.domElement;
+  ctx.drawImage(rendered, 0, 0, width, height);
+  return true;
+}
+
+// Whether a canvas point falls inside the on-screen bounds of a layer's 3D model
+function isPointOnModel(point, layer) {
+  const focal = getCameraFocalLength(canvas.width, canvas.height);
+  const pose = getModelCameraPose(layer, focal);
+  const box = layer.modelBounds;
+  const scale = layer.modelScale * layer.scale;
+  const position = layer.model.position;
+  
+  const xs = [];
+  const ys = [];
+  [box.min.x, box.max.x].forEach(x => [box.min.y, box.max.y].forEach(y => [box.min.z, box.max.z].forEach(z => {
+    const corner = [position.x + x * scale, position.y + y * scale, position.z + z * scale];
+    const p = headPointToCamera(corner, pose.rotation, pose.translation);
+    if (p[2] <= 0) return;
+    xs.push(focal * p[0] / p[2] + canvas.width / 2);
+    ys.push(focal * p[1] / p[2] + canvas.height / 2);
+  })));
+  
+  return xs.length > 0 && point.x >= Math.min(...xs) && point.x <= Math.max(...xs) &&
+    point.y >= Math.min(...ys) && point.y <= Math.max(...ys);
+}
+
+// ========================================
+// Occlusion
+// ========================================
+
+// Head turn (degrees) past which a side's "behind head" regions start hiding
+const DEFAULT_BEHIND_HEAD_MIN_YAW = 10;
+
+// How far above the forehead landmark the head silhouette reaches (face heights),
+// so brims and arms can also hide behind hair, not just skin
+const HEAD_SILHOUETTE_CRANIUM_LIFT = 0.35;
+
+/**
+ * Head silhouette from the face oval landmarks, in canvas coordinates
+ * 
+ * The face mesh stops at the hairline; with a cranium lift the upper half of
+ * the oval is pushed up along the face's axis, most at the top, to cover the skull.
+ * 
+ * @param {Array} landmarks - Face mesh landmarks
+ * @param {number} craniumLift - Extra height at the top, in face heights
+ * @returns {Array} [{ x, y }] polygon points
+ */
+function getHeadSilhouette(landmarks, craniumLift = 0) {
+  const points = FACE_OVAL_LANDMARKS.map(index => getLandmark(landmarks, index, canvas.width, canvas.height));
+  const frame = craniumLift > 0 ? getFaceFrame(landmarks, canvas.width, canvas.height) : null;
+  if (!frame) return points;
+  
+  const centerX = (frame.forehead.x + frame.chin.x) / 2;
+  const centerY = (frame.forehead.y + frame.chin.y) / 2;
+  const halfHeight = frame.faceHeight / 2;
+  
+  return points.map(point => {
+    const height = ((point.x - centerX) * frame.up.x + (point.y - centerY) * frame.up.y) / halfHeight;
+    if (height <= 0) return point;
+    return offsetFromFace(frame, point, craniumLift * height, 0);
+  });
+}
+
+// Clip drawing to everything outside the face oval (or the whole head silhouette)
+function clipOutFace(landmarks, craniumLift = 0) {
+  ctx.beginPath();
+  ctx.rect(0, 0, canvas.width, canvas.height);
+  getHeadSilhouette(landmarks, craniumLift).forEach((point, i) => {
+    if (i === 0) ctx.moveTo(point.x, point.y);
+    else ctx.lineTo(point.x, point.y);
+  });
+  ctx.closePath();
+  ctx.clip('evenodd');
+}
+
+/**
+ * Split a sprite into its "behind head" regions and the rest
+ * 
+ * Each region gets its own full-size sprite holding only that region's pixels,
+ * so it can be drawn with the same placement (rigid, mirrored or mesh-warped)
+ * as the rest and clipped separately.
+ * 
+ * @param {HTMLImageElement|HTMLCanvasElement} sprite
+ * @param {Array} regions - [{ x, y, width, height, side?, minYaw? }] in sprite pixels
+ * @returns {Object} { rest, parts: [{ region, sprite }] }
+ */
+function splitBehindHeadRegions(sprite, regions) {
+  const rest = document.createElement('canvas');
+  rest.width = sprite.width;
+  rest.height = sprite.height;
+  const restCtx = rest.getContext('2d');
+  restCtx.drawImage(sprite, 0, 0);
+  
+  const parts = regions.map(region => {
+    const part = document.createElement('canvas');
+    part.width = sprite.width;
+    part.height = sprite.height;
+    part.getContext('2d').drawImage(
+      sprite,
+      region.x, region.y, region.width, region.height,
+      region.x, region.y, region.width, region.height
+    );
+    restCtx.clearRect(region.x, region.y, region.width, region.height);
+    return { region, sprite: part };
+  });
+  
+  return { rest, parts };
+}
+
+// Whether a "behind head" region is hidden at the current head turn. Sides are
+// image sides of the asset; positive yaw turns the image-left side away.
+function isRegionBehindHead(region, mirrored) {
+  if (!region.side) return true;
+  
+  const side = mirrored ? (region.side === 'left' ? 'right' : 'left') : region.side;
+  const yawDegrees = (faceRotation.yaw || 0) * 180 / Math.PI;
+  const awayYaw = side === 'left' ? yawDegrees : -yawDegrees;
+  const minYaw = region.minYaw !== undefined ? region.minYaw : DEFAULT_BEHIND_HEAD_MIN_YAW;
+  return awayYaw >= minYaw;
+}
+
+// Draw one placement of a layer's sprite, rigid or mesh-warped - colour-corrected
+// for the scene's lighting unless lit is false (e.g. for shadows)
+function drawLayerSprite(sprite, pos, lit = true) {
+  // Anchored fits and meshes solve their own in-plane rotation
+  const rotation = pos.roll !== undefined ? { ...faceRotation, roll: pos.roll } : faceRotation;
+  if (lit) {
+    sprite = getLitSprite(sprite, rotation.roll, Boolean(pos.mirrorX));
+  }
+  
+  if (pos.meshVertices) {
+    drawWarpedMesh(sprite, pos.textureVertices, pos.triangles, pos.meshVertices);
+    return;
+  }
+  
+  drawRotatedOverlay(sprite, pos, rotation);
+}
+
+// Draw every visible face's outfit
+function drawOverlayLayers() {
+  const selected = getSelectedFaceTrack();
+  faceTracks.forEach(track => {
+    if (!track.landmarks) return;
+    setCurrentFace(track);
+    drawFaceLayers(track.layers);
+  });
+  setCurrentFace(selected);
+  
+  drawSelectedFaceHighlight();
+}
+
+// Draw one face's overlay layers (the per-face globals point at that face)
+function drawFaceLayers(layers) {
+  if (!detectedLandmarks) return;
+  
+  getOrderedLayers(layers).forEach(layer => {
+    if (layer.model && drawModelLayer(layer)) return;
+    if (!layer.sprite) return;
+    
+    const strategy = OVERLAY_TYPE_STRATEGIES[layer.type] || {};
+    const behindFace = layer.fitting.behindFace !== undefined ? layer.fitting.behindFace : strategy.behindFace;
+    
+    ctx.save();
+    if (behindFace) {
+      clipOutFace(detectedLandmarks);
+    }
+    
+    const placements = calculateLayerPlacements(layer, detectedLandmarks);
+    const occlusion = layer.behindHead;
+    placements.forEach(pos => {
+      drawContactShadow(layer, pos);
+      drawLayerSprite(occlusion ? occlusion.rest : layer.sprite, pos);
+      
+      // "Behind head" regions are hidden inside the head silhouette once turned away
+      if (!occlusion) return;
+      occlusion.parts.forEach(part => {
+        ctx.save();
+        if (isRegionBehindHead(part.region, pos.mirrorX)) {
+          clipOutFace(detectedLandmarks, HEAD_SILHOUETTE_CRANIUM_LIFT);
+        }
+        drawLayerSprite(part.sprite, pos);
+        ctx.restore();
+      });
+    });
+    ctx.restore();
+  });
+}
+
+// ========================================
+// Render Scheduler
+// ========================================
+// The only owner of the frame loop. Anything that changes the picture calls
+// requestRender(); it is drawn once on the next animation frame however many
+// changes came in. Nothing is drawn while idle or paused.
+let renderFrameId = null; // Pending requestAnimationFrame id
+let renderPaused = false;
+let videoFrameCallbackId = null;
+
+function requestRender() {
+  if (renderPaused || renderFrameId !== null || typeof requestAnimationFrame === 'undefined') return;
+  renderFrameId = requestAnimationFrame(() => {
+    renderFrameId = null;
+    draw();
+  });
+}
+
+// Draw immediately, e.g. before reading the canvas back
+function renderNow() {
+  if (renderFrameId !== null) {
+    cancelAnimationFrame(renderFrameId);
+    renderFrameId = null;
+  }
+  draw();
+}
+
+// Stop drawing until resumeRendering(), e.g. while the page is hidden
+function pauseRendering() {
+  renderPaused = true;
+  if (renderFrameId !== null) {
+    cancelAnimationFrame(renderFrameId);
+    renderFrameId = null;
+  }
+}
+
+function resumeRendering() {
+  renderPaused = false;
+  requestRender();
+}
+
+function isRenderingPaused() {
+  return renderPaused;
+}
+
+// Redraw on each new camera frame, not just when detection results arrive
+// (falls back to detection results on browsers without requestVideoFrameCallback)
+function watchVideoFrames() {
+  if (!video.requestVideoFrameCallback) return;
+  
+  if (videoFrameCallbackId !== null) {
+    video.cancelVideoFrameCallback(videoFrameCallbackId);
+  }
+  const onVideoFrame = () => {
+    videoFrameCallbackId = null;
+    if (isUsingUploadedImage) return;
+    requestRender();
+    videoFrameCallbackId = video.requestVideoFrameCallback(onVideoFrame);
+  };
+  videoFrameCallbackId = video.requestVideoFrameCallback(onVideoFrame);
+}
+
+function setupRenderScheduler() {
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      pauseRendering();
+    } else {
+      resumeRendering();
+    }
+  });
+}
+
+/**
+ * Draw every face's outfit, or the before/after view: overlays without lighting
+ * adaptation left of the divider, adapted ones right of it
+ */
+function drawOverlaysWithComparison() {
+  if (!lightingComparison.enabled) {
+    drawOverlayLayers();
+    return;
+  }
+  
+  const splitX = Math.round(canvas.width * lightingComparison.split);
+  const adaptationEnabled = lightingAnalysis.enabled;
+  
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(0, 0, splitX, canvas.height);
+  ctx.clip();
+  lightingAnalysis.enabled = false;
+  try {
+    drawOverlayLayers();
+  } finally {
+    lightingAnalysis.enabled = adaptationEnabled;
+    ctx.restore();
+  }
+  
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(splitX, 0, canvas.width - splitX, canvas.height);
+  ctx.clip();
+  drawOverlayLayers();
+  ctx.restore();
+  
+  // Divider and labels
+  ctx.save();
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.fillRect(splitX - 1, 0, 2, canvas.height);
+  ctx.font = 'bold 13px Arial, Helvetica, sans-serif';
+  ctx.textBaseline = 'bottom';
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+  ctx.shadowBlur = 4;
+  ctx.textAlign = 'right';
+  ctx.fillText('Before', splitX - 8, canvas.height - 10);
+  ctx.textAlign = 'left';
+  ctx.fillText(adaptationEnabled ? 'After' : 'After (adaptation off)', splitX + 8, canvas.height - 10);
+  ctx.restore();
+}
+
+// Draw the camera frame or photo with every worn layer in z-order, or the compare tiles
+function drawScene(source) {
+  if (compareMode.enabled) {
+    drawCompareView(source);
+    return;
+  }
+  
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  drawOverlaysWithComparison();
+}
+
+// Draw video/image + overlay with face detection and lighting adaptation
+// (call requestRender() rather than this, so frames aren't drawn twice)
+function draw() {
+  if (isUsingUploadedImage) {
+    if (uploadedImg.complete && uploadedImg.naturalWidth > 0) {
+      // Analyze lighting from uploaded image (throttled for performance; the worker measures it when detecting)
+      if (!detectionWorkerReady && detectedLandmarks && lightingAnalysis.enabled && lightingMode === 'auto') {
+        // Analyze every 5 frames (20% frequency) for performance
+        if (frameCount % 5 === 0) {
+          analyzeLighting(uploadedImg, detectedLandmarks);
+        }
+      }
+      frameCount++;
+      if (blendLighting()) requestRender(); // Keep easing towards the measured lighting
+      
+      drawScene(uploadedImg);
+    }
+  } else {
+    // Camera mode
+    if (video.readyState >= 2) {
+      // Analyze lighting from video feed (throttled for performance; the worker measures it when detecting)
+      if (!detectionWorkerReady && detectedLandmarks && lightingAnalysis.enabled && lightingMode === 'auto') {
+        // Analyze every 3 frames (~33% frequency) for real-time performance
+        if (frameCount % 3 === 0) {
+          analyzeLighting(video, detectedLandmarks);
+        }
+      }
+      frameCount++;
+      blendLighting(); // New video frames keep coming, so no need to ask for more
+
+      drawScene(video);
+    } else {
+      requestRender(); // Wait for the first video frame
+    }
+  }
+}
+
+// Capture photo from webcam
+function setupEventListeners() {
+  if (!captureBtn || !saveBtn || !backToCameraBtn) {
+    console.error('Buttons not found for event listeners');
+    return;
+  }
+  
+  captureBtn.addEventListener('click', async () => {
+  try {
+    // Capture current frame from video (before overlay is drawn)
+    const tempCanvas = document.createElement('canvas');
+    tempCanvas.width = video.videoWidth;
+    tempCanvas.height = video.videoHeight;
+    const tempCtx = tempCanvas.getContext('2d');
+    tempCtx.drawImage(video, 0, 0, tempCanvas.width, tempCanvas.height);
+    
+    // Convert to image data and run it through face detection
+    await showStillImage(tempCanvas.toDataURL('image/png'), tempCanvas.width, tempCanvas.height, 'Processing captured photo...');
+    
+    status.textContent = 'Photo captured! ✓';
+    status.className = 'status detected';
+  } catch (err) {
+    status.textContent = 'Capture failed: ' + err.message;
+    status.className = 'status error';
+  }
+  });
+
+  // Save image
+  saveBtn.addEventListener('click', async () => {
+  // If in camera mode, we need to capture first
+  if (!isUsingUploadedImage) {
+    status.textContent = 'Capturing photo...';
+    captureBtn.click();
+    // Wait for capture to complete
+    await new Promise(resolve => setTimeout(resolve, 1500));
+  }
+  
+    downloadImage();
+  });
+
+  // Back to camera button
+  backToCameraBtn.addEventListener('click', () => {
+    resetToCamera();
+  });
+}
+
+// Switch from the live camera to a still image (captured frame or imported photo)
+// and run it through face detection
+async function showStillImage(src, width, height, processingMessage) {
+  uploadedImg.src = src;
+  uploadedImg.style.display = 'block';
+  
+  // Stop camera
+  if (camera) {
+    camera.stop();
+    camera = null;
+  }
+  
+  isUsingUploadedImage = true;
+  resetFaceTrackHistory(); // A new photo shouldn't start from the last frame's pose
+  clearHistory();
+  
+  // Set canvas size
+  canvas.width = width;
+  canvas.height = height;
+  
+  status.textContent = processingMessage;
+  status.className = 'status';
+  
+  // Wait for image to load and process with face mesh
+  await uploadedImg.decode();
+  await detectFaces(uploadedImg, true);
+  await sendPoseFrame(uploadedImg); // One-off, so run it even if no clothing is worn yet
+  
+  // Draw the still image on canvas
+  requestRender();
+  
+  // Show back to camera button
+  backToCameraBtn.style.display = 'block';
+}
+
+function downloadImage() {
+  try {
+    // Get canvas data, with the watermark if it's turned on
+    const imageData = renderExportFrame().toDataURL('image/png');
+    
+    // Create download link
+    const link = document.createElement('a');
+    link.download = `virtual-tryon-${Date.now()}.png`;
+    link.href = imageData;
+    link.click();
+    
+    status.textContent = 'Image saved! ✓';
+    status.className = 'status detected';
+    setTimeout(() => {
+      if (isUsingUploadedImage) {
+        status.textContent = 'Photo captured! ✓';
+      } else {
+        status.textContent = 'Face detection active';
+      }
+    }, 2000);
+  } catch (err) {
+    status.textContent = 'Failed to save image';
+    status.className = 'status error';
+  }
+}
+
+// ========================================
+// Export Branding
+// ========================================
+// Watermark options shared by saved photos and recorded clips
+const EXPORT_BRANDING_STORAGE_KEY = 'virtualStyle_exportBranding';
+const WATERMARK_TEXT = 'VirtualStyle';
+const WATERMARK_POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+
+let exportBranding = { watermark: true, position: 'bottom-right' };
+
+function loadExportBranding() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(EXPORT_BRANDING_STORAGE_KEY));
+    if (stored && typeof stored === 'object') {
+      exportBranding = {
+        watermark: stored.watermark !== false,
+        position: WATERMARK_POSITIONS.includes(stored.position) ? stored.position : exportBranding.position
+      };
+    }
+  } catch (err) {
+    console.warn('Could not read export settings:', err);
+  }
+}
+
+function saveExportBranding() {
+  try {
+    localStorage.setItem(EXPORT_BRANDING_STORAGE_KEY, JSON.stringify(exportBranding));
+  } catch (err) {
+    console.warn('Could not save export settings:', err);
+  }
+}
+
+// Draw the watermark in its corner, sized to the frame so it looks the same in every export
+function drawWatermark(targetCtx, width, height) {
+  if (!exportBranding.watermark) return;
+  
+  const fontSize = Math.max(10, Math.round(width * 0.035));
+  const padding = Math.round(fontSize * 0.5);
+  const margin = Math.round(fontSize * 0.75);
+  
+  targetCtx.save();
+  targetCtx.font = `600 ${fontSize}px system-ui, sans-serif`;
+  targetCtx.textBaseline = 'middle';
+  const boxWidth = targetCtx.measureText(WATERMARK_TEXT).width + padding * 2;
+  const boxHeight = fontSize + padding * 2;
+  const [vertical, horizontal] = exportBranding.position.split('-');
+  const x = horizontal === 'left' ? margin : width - margin - boxWidth;
+  const y = vertical === 'top' ? margin : height - margin - boxHeight;
+  
+  targetCtx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+  targetCtx.fillRect(x, y, boxWidth, boxHeight);
+  targetCtx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  targetCtx.fillText(WATERMARK_TEXT, x + padding, y + boxHeight / 2);
+  targetCtx.restore();
+}
+
+/**
+ * Render the try-on canvas as it is exported, watermark included
+ * @param {HTMLCanvasElement} [target] - Canvas to reuse (clip frames), a new one by default
+ * @param {number} [width] - Output size, the try-on canvas size by default
+ * @param {number} [height]
+ * @returns {HTMLCanvasElement} target
+ */
+function renderExportFrame(target = document.createElement('canvas'), width = canvas.width, height = canvas.height) {
+  if (target.width !== width || target.height !== height) {
+    target.width = width;
+    target.height = height;
+  }
+  const targetCtx = target.getContext('2d');
+  targetCtx.drawImage(canvas, 0, 0, width, height);
+  drawWatermark(targetCtx, width, height);
+  return target;
+}
+
+// ========================================
+// Clip Recording
+// ========================================
+// Records a few seconds of the composited try-on canvas to share. MediaRecorder
+// encodes video where the browser can record a canvas; elsewhere frames are
+// collected at a lower rate and size and encoded as an animated GIF
+// (gif-encoder.js). Frames go through renderExportFrame(), so clips carry the
+// same watermark as saved photos.
+const CLIP_COUNTDOWN_SECONDS = 3;
+const CLIP_MAX_SECONDS = 10;
+const CLIP_FRAME_RATE = 30;
+const CLIP_VIDEO_BITS_PER_SECOND = 4000000;
+const GIF_FRAME_RATE = 10;
+const GIF_MAX_WIDTH = 320;          // GIFs are large - keep them small enough to share
+// MP4 first as it plays (and shares) almost everywhere; Chrome and Firefox record WebM
+const CLIP_MIME_TYPES = [
+  'video/mp4;codecs=avc1',
+  'video/mp4',
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm'
+];
+
+let clipDuration = 5;       // Seconds, chosen in the export options
+let clipRecording = null;   // Session in progress: { state: 'countdown' | 'recording' | 'encoding', ... }
+let recordedClip = null;    // Waiting in the preview: { blob, url, extension }
+
+// Best supported video type, or null to fall back to GIF
+function getClipMimeType() {
+  if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) return null;
+  return CLIP_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+// Record button: start, cancel the countdown, or stop early
+function toggleClipRecording() {
+  if (!clipRecording) {
+    startClipRecording();
+  } else if (clipRecording.state === 'countdown') {
+    clipRecording.cancelled = true;
+  } else if (clipRecording.state === 'recording') {
+    stopClipRecording();
+  }
+}
+
+function updateRecordButton() {
+  const recordBtn = document.getElementById('recordBtn');
+  if (!recordBtn) return;
+  
+  const state = clipRecording ? clipRecording.state : null;
+  recordBtn.textContent = {
+    countdown: '✕ Cancel',
+    recording: '⏹ Stop',
+    encoding: 'Encoding...'
+  }[state] || '🎬 Record Clip';
+  recordBtn.disabled = state === 'encoding';
+}
+
+// Countdown number over the preview, or null to hide it
+function showRecordingCountdown(text) {
+  const countdown = document.getElementById('recordingCountdown');
+  if (!countdown) return;
+  countdown.textContent = text || '';
+  countdown.classList.toggle('hidden', !text);
+}
+
+// "● REC" badge with the time recorded, or null to hide it
+function showRecordingBadge(text) {
+  const badge = document.getElementById('recordingBadge');
+  if (!badge) return;
+  badge.textContent = text || '';
+  badge.classList.toggle('hidden', !text);
+}
+
+function formatClipTime(seconds) {
+  return `0:${String(Math.floor(seconds)).padStart(2, '0')}`;
+}
+
+/**
+ * Count down, then record for clipDuration seconds (or until stopped)
+ * A timer copies the try-on canvas into a recording canvas at a fixed rate,
+ * which the MediaRecorder streams from or the GIF fallback samples.
+ */
+async function startClipRecording() {
+  const session = { state: 'countdown', cancelled: false };
+  clipRecording = session;
+  updateRecordButton();
+  
+  for (let remaining = CLIP_COUNTDOWN_SECONDS; remaining > 0; remaining--) {
+    showRecordingCountdown(String(remaining));
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    if (session.cancelled) {
+      showRecordingCountdown(null);
+      clipRecording = null;
+      updateRecordButton();
+      return;
+    }
+  }
+  showRecordingCountdown(null);
+  
+  session.mimeType = getClipMimeType();
+  session.frameCanvas = document.createElement('canvas');
+  session.startTime = performance.now();
+  
+  let frameRate;
+  try {
+    if (session.mimeType) {
+      frameRate = CLIP_FRAME_RATE;
+      renderExportFrame(session.frameCanvas);
+      session.chunks = [];
+      session.recorder = new MediaRecorder(session.frameCanvas.captureStream(CLIP_FRAME_RATE), {
+        mimeType: session.mimeType,
+        videoBitsPerSecond: CLIP_VIDEO_BITS_PER_SECOND
+      });
+      session.recorder.ondataavailable = event => {
+        if (event.data.size > 0) session.chunks.push(event.data);
+      };
+      session.recorder.start();
+    } else {
+      frameRate = GIF_FRAME_RATE;
+      const scale = Math.min(1, GIF_MAX_WIDTH / canvas.width);
+      session.width = Math.round(canvas.width * scale);
+      session.height = Math.round(canvas.height * scale);
+      session.frameCtx = session.frameCanvas.getContext('2d', { willReadFrequently: true });
+      session.frames = [];
+    }
+    captureClipFrame(session);
+  } catch (err) {
+    // e.g. a recorder configuration the browser rejects, or a canvas tainted by a cross-origin image
+    abortClipRecording(session, err);
+    return;
+  }
+  
+  session.state = 'recording';
+  updateRecordButton();
+  session.frameTimer = setInterval(() => {
+    try {
+      captureClipFrame(session);
+    } catch (err) {
+      // e.g. a cross-origin product image worn mid-recording taints the canvas
+      abortClipRecording(session, err);
+    }
+  }, 1000 / frameRate);
+  session.stopTimer = setTimeout(stopClipRecording, Math.min(clipDuration, CLIP_MAX_SECONDS) * 1000);
+}
+
+// Give up on a recording that can't capture frames, discarding what it has
+function abortClipRecording(session, err) {
+  console.error('Clip recording failed:', err);
+  clearInterval(session.frameTimer);
+  clearTimeout(session.stopTimer);
+  if (session.recorder && session.recorder.state !== 'inactive') session.recorder.stop();
+  if (clipRecording === session) clipRecording = null;
+  updateRecordButton();
+  showRecordingBadge(null);
+  status.textContent = 'Recording failed: ' + err.message;
+  status.className = 'status error';
+}
+
+// Copy the current try-on frame into the recording
+function captureClipFrame(session) {
+  if (session.recorder) {
+    renderExportFrame(session.frameCanvas);
+  } else {
+    renderExportFrame(session.frameCanvas, session.width, session.height);
+    session.frames.push(session.frameCtx.getImageData(0, 0, session.width, session.height).data);
+  }
+  
+  const elapsed = (performance.now() - session.startTime) / 1000;
+  showRecordingBadge(`● REC ${formatClipTime(elapsed)} / ${formatClipTime(Math.min(clipDuration, CLIP_MAX_SECONDS))}`);
+}
+
+// Finish the recording in progress and open its preview
+async function stopClipRecording() {
+  const session = clipRecording;
+  if (!session || session.state !== 'recording') return;
+  
+  clearInterval(session.frameTimer);
+  clearTimeout(session.stopTimer);
+  session.state = 'encoding';
+  session.duration = (performance.now() - session.startTime) / 1000;
+  updateRecordButton();
+  showRecordingBadge(null);
+  
+  try {
+    let blob;
+    if (session.recorder) {
+      blob = await new Promise((resolve, reject) => {
+        session.recorder.onstop = () => resolve(new Blob(session.chunks, { type: session.mimeType.split(';')[0] }));
+        session.recorder.onerror = event => reject(event.error || new Error('Recording failed'));
+        session.recorder.stop();
+      });
+    } else {
+      status.textContent = 'Encoding GIF...';
+      blob = await encodeGif(session.frames, session.width, session.height, 1000 / GIF_FRAME_RATE);
+    }
+    showClipPreview(blob, session.duration);
+  } catch (err) {
+    console.error('Clip recording failed:', err);
+    status.textContent = 'Recording failed: ' + err.message;
+    status.className = 'status error';
+  } finally {
+    clipRecording = null;
+    updateRecordButton();
+  }
+}
+
+// Show a finished clip so it can be checked before downloading
+function showClipPreview(blob, duration) {
+  discardRecordedClip();
+  const extension = blob.type.includes('gif') ? 'gif' : blob.type.includes('mp4') ? 'mp4' : 'webm';
+  recordedClip = { blob, url: URL.createObjectURL(blob), extension };
+  
+  const previewVideo = document.getElementById('clipPreviewVideo');
+  const previewImage = document.getElementById('clipPreviewImage');
+  const isGif = extension === 'gif';
+  previewVideo.classList.toggle('hidden', isGif);
+  previewImage.classList.toggle('hidden', !isGif);
+  if (isGif) {
+    previewImage.src = recordedClip.url;
+  } else {
+    previewVideo.src = recordedClip.url;
+    previewVideo.play().catch(() => {}); // Autoplay may be blocked - the controls still work
+  }
+  
+  const sizeMb = (blob.size / (1024 * 1024)).toFixed(1);
+  document.getElementById('clipInfo').textContent = `${duration.toFixed(1)} s · ${extension.toUpperCase()} · ${sizeMb} MB`;
+  document.getElementById('shareClipBtn').classList.toggle('hidden', !canShareClip());
+  document.getElementById('clipModal').classList.remove('hidden');
+  
+  status.textContent = 'Clip recorded ✓';
+  status.className = 'status detected';
+}
+
+function getClipFile() {
+  return new File([recordedClip.blob], `virtual-tryon-${Date.now()}.${recordedClip.extension}`, { type: recordedClip.blob.type });
+}
+
+function canShareClip() {
+  return !!(recordedClip && navigator.canShare && navigator.canShare({ files: [getClipFile()] }));
+}
+
+function downloadRecordedClip() {
+  if (!recordedClip) return;
+  
+  const link = document.createElement('a');
+  link.download = getClipFile().name;
+  link.href = recordedClip.url;
+  link.click();
+  
+  status.textContent = 'Clip saved! ✓';
+  status.className = 'status detected';
+}
+
+async function shareRecordedClip() {
+  if (!recordedClip) return;
+  try {
+    await navigator.share({ files: [getClipFile()], title: 'My VirtualStyle try-on' });
+  } catch (err) {
+    if (err.name !== 'AbortError') {
+      console.warn('Sharing failed:', err);
+      downloadRecordedClip();
+    }
+  }
+}
+
+// Close the preview and free the clip
+function discardRecordedClip() {
+  const previewVideo = document.getElementById('clipPreviewVideo');
+  if (previewVideo) {
+    previewVideo.pause();
+    previewVideo.removeAttribute('src');
+    previewVideo.load();
+  }
+  if (recordedClip) {
+    URL.revokeObjectURL(recordedClip.url);
+    recordedClip = null;
+  }
+  const clipModal = document.getElementById('clipModal');
+  if (clipModal) clipModal.classList.add('hidden');
+}
+
+// Watermark and clip length options, the record button and the clip preview
+function setupClipRecording() {
+  loadExportBranding();
+  
+  const watermarkToggle = document.getElementById('watermarkToggle');
+  const watermarkPosition = document.getElementById('watermarkPosition');
+  const clipDurationSelect = document.getElementById('clipDuration');
+  
+  if (watermarkToggle) {
+    watermarkToggle.checked = exportBranding.watermark;
+    watermarkToggle.addEventListener('change', () => {
+      exportBranding.watermark = watermarkToggle.checked;
+      if (watermarkPosition) watermarkPosition.disabled = !exportBranding.watermark;
+      saveExportBranding();
+    });
+  }
+  if (watermarkPosition) {
+    watermarkPosition.value = exportBranding.position;
+    watermarkPosition.disabled = !exportBranding.watermark;
+    watermarkPosition.addEventListener('change', () => {
+      exportBranding.position = watermarkPosition.value;
+      saveExportBranding();
+    });
+  }
+  if (clipDurationSelect) {
+    clipDuration = parseInt(clipDurationSelect.value) || clipDuration;
+    clipDurationSelect.addEventListener('change', () => {
+      clipDuration = Math.min(parseInt(clipDurationSelect.value) || clipDuration, CLIP_MAX_SECONDS);
+    });
+  }
+  
+  const recordBtn = document.getElementById('recordBtn');
+  if (recordBtn) {
+    recordBtn.addEventListener('click', toggleClipRecording);
+  }
+  
+  // Clip preview
+  const clipActions = {
+    downloadClipBtn: downloadRecordedClip,
+    shareClipBtn: shareRecordedClip,
+    discardClipBtn: discardRecordedClip,
+    closeClipBtn: discardRecordedClip
+  };
+  Object.entries(clipActions).forEach(([id, action]) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener('click', action);
+  });
+  
+  const clipModal = document.getElementById('clipModal');
+  if (clipModal) {
+    clipModal.addEventListener('click', (e) => {
+      if (e.target === clipModal) {
+        discardRecordedClip();
+      }
+    });
+  }
+}
+
+// ========================================
+// Photo Import System
+// ========================================
+const PHOTO_ASPECT_RATIO = 9 / 16; // Matches the try-on container
+const MAX_PHOTO_HEIGHT = 1920;     // Cap letterboxed photos for face detection performance
+
+// Read the EXIF orientation tag (1-8) from the start of a JPEG file, 1 if absent
+function readExifOrientation(buffer) {
+  try {
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1; // Not a JPEG
+    
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xFF00) !== 0xFF00) break;
+      
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // APP1 "Exif"
+        const tiffStart = offset + 10;
+        const littleEndian = view.getUint16(tiffStart) === 0x4949;
+        const ifdStart = tiffStart + view.getUint32(tiffStart + 4, littleEndian);
+        const entryCount = view.getUint16(ifdStart, littleEndian);
+        
+        for (let i = 0; i < entryCount; i++) {
+          const entry = ifdStart + 2 + i * 12;
+          if (view.getUint16(entry, littleEndian) === 0x0112) { // Orientation tag
+            return view.getUint16(entry + 8, littleEndian);
+          }
+        }
+        return 1;
+      }
+      
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  } catch (err) {
+    // Truncated or malformed EXIF - treat as upright
+    console.warn('Could not read EXIF orientation:', err);
+  }
+  return 1;
+}
+
+// Modern browsers already rotate <img> elements (and drawImage) by EXIF orientation
+function browserAppliesExifOrientation() {
+  return typeof CSS !== 'undefined' && CSS.supports && CSS.supports('image-orientation', 'from-image');
+}
+
+// Draw an image upright according to its EXIF orientation, returns a canvas
+function drawOrientedImage(image, orientation) {
+  const w = image.naturalWidth;
+  const h = image.naturalHeight;
+  const swapsAxes = orientation >= 5 && orientation <= 8;
+  
+  const orientedCanvas = document.createElement('canvas');
+  orientedCanvas.width = swapsAxes ? h : w;
+  orientedCanvas.height = swapsAxes ? w : h;
+  const orientedCtx = orientedCanvas.getContext('2d');
+  
+  // Standard EXIF orientation transforms
+  switch (orientation) {
+    case 2: orientedCtx.transform(-1, 0, 0, 1, w, 0); break;
+    case 3: orientedCtx.transform(-1, 0, 0, -1, w, h); break;
+    case 4: orientedCtx.transform(1, 0, 0, -1, 0, h); break;
+    case 5: orientedCtx.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: orientedCtx.transform(0, 1, -1, 0, h, 0); break;
+    case 7: orientedCtx.transform(0, -1, -1, 0, h, w); break;
+    case 8: orientedCtx.transform(0, -1, 1, 0, 0, w); break;
+    default: break;
+  }
+  
+  orientedCtx.drawImage(image, 0, 0);
+  return orientedCanvas;
+}
+
+// Fit a source into a 9:16 frame without stretching, padding the remaining space
+function letterboxToPortrait(source) {
+  const srcWidth = source.width;
+  const srcHeight = source.height;
+  
+  // Grow whichever side is short so the frame contains the whole photo
+  let frameWidth, frameHeight;
+  if (srcWidth / srcHeight > PHOTO_ASPECT_RATIO) {
+    frameWidth = srcWidth;
+    frameHeight = srcWidth / PHOTO_ASPECT_RATIO;
+  } else {
+    frameHeight = srcHeight;
+    frameWidth = srcHeight * PHOTO_ASPECT_RATIO;
+  }
+  
+  const downscale = Math.min(1, MAX_PHOTO_HEIGHT / frameHeight);
+  frameWidth = Math.round(frameWidth * downscale);
+  frameHeight = Math.round(frameHeight * downscale);
+  
+  const frameCanvas = document.createElement('canvas');
+  frameCanvas.width = frameWidth;
+  frameCanvas.height = frameHeight;
+  const frameCtx = frameCanvas.getContext('2d');
+  
+  // Match the try-on container background (bg-gray-800)
+  frameCtx.fillStyle = '#1f2937';
+  frameCtx.fillRect(0, 0, frameWidth, frameHeight);
+  
+  const drawWidth = srcWidth * downscale;
+  const drawHeight = srcHeight * downscale;
+  frameCtx.drawImage(
+    source,
+    (frameWidth - drawWidth) / 2,
+    (frameHeight - drawHeight) / 2,
+    drawWidth,
+    drawHeight
+  );
+  
+  return frameCanvas;
+}
+
+// Decode an image file
+function loadImageFromFile(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not decode image'));
+    };
+    image.src = url;
+  });
+}
+
+// Import a photo file: orient, letterbox to 9:16 and run face detection
+async function importPhotoFile(file) {
+  if (!file) return;
+  
+  if (!file.type.startsWith('image/')) {
+    status.textContent = 'Please choose an image file';
+    status.className = 'status error';
+    return;
+  }
+  
+  if (!isFaceDetectionReady()) {
+    status.textContent = 'Face detection is still loading, please try again';
+    status.className = 'status error';
+    return;
+  }
+  
+  try {
+    status.textContent = 'Loading photo...';
+    status.className = 'status';
+    
+    // EXIF lives in the first few KB of a JPEG
+    const header = await file.slice(0, 128 * 1024).arrayBuffer();
+    const orientation = browserAppliesExifOrientation() ? 1 : readExifOrientation(header);
+    
+    const image = await loadImageFromFile(file);
+    const framed = letterboxToPortrait(drawOrientedImage(image, orientation));
+    
+    await showStillImage(framed.toDataURL('image/jpeg', 0.92), framed.width, framed.height, 'Processing photo...');
+    
+    if (detectedLandmarks) {
+      status.textContent = 'Photo loaded! ✓';
+      status.className = 'status detected';
+    } else {
+      status.textContent = 'No face found in photo';
+      status.className = 'status error';
+    }
+  } catch (err) {
+    status.textContent = 'Photo import failed: ' + err.message;
+    status.className = 'status error';
+  }
+}
+
+// Setup file picker and drag-and-drop onto the try-on container
+function setupPhotoImport() {
+  const uploadBtn = document.getElementById('uploadBtn');
+  const photoInput = document.getElementById('photoInput');
+  const container = document.querySelector('.try-on-container');
+  
+  if (uploadBtn && photoInput) {
+    uploadBtn.addEventListener('click', () => {
+      photoInput.click();
+    });
+    
+    photoInput.addEventListener('change', () => {
+      importPhotoFile(photoInput.files[0]);
+      photoInput.value = ''; // Allow picking the same file again
+    });
+  }
+  
+  if (container) {
+    container.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      container.classList.add('ring-4', 'ring-green-400');
+    });
+    
+    container.addEventListener('dragleave', (e) => {
+      if (!container.contains(e.relatedTarget)) {
+        container.classList.remove('ring-4', 'ring-green-400');
+      }
+    });
+    
+    container.addEventListener('drop', (e) => {
+      e.preventDefault();
+      container.classList.remove('ring-4', 'ring-green-400');
+      const file = e.dataTransfer.files && e.dataTransfer.files[0];
+      importPhotoFile(file);
+    });
+  }
+}
+
+// Product Library and Shopping Cart System
+let shoppingCart = [];
+let currentCategory = 'all';
+
+// ========================================
+// Product Catalog
+// ========================================
+const CATALOG_URL = 'catalog.json';
+const CATALOG_SCHEMA_VERSION = 1; // Highest manifest schema version this app understands
+
+// Product data structure - populated from the catalog manifest by loadCatalog()
+let products = [];
+let catalogErrors = []; // Human-readable problems found while validating the manifest
+
+// Field rules for each catalog entry
+const CATALOG_ENTRY_SCHEMA = {
+  id:       { required: true,  check: v => Number.isInteger(v) && v > 0, expected: 'a positive integer' },
+  name:     { required: true,  check: v => typeof v === 'string' && v.trim() !== '', expected: 'a non-empty string' },
+  src:      { required: true,  check: v => typeof v === 'string' && v.trim() !== '', expected: 'an image path' },
+  type:     { required: true,  check: v => Object.prototype.hasOwnProperty.call(TYPE_TO_SLOT, v), expected: () => `one of ${Object.keys(TYPE_TO_SLOT).join(', ')}` },
+  category: { required: true,  check: v => typeof v === 'string' && v.trim() !== '', expected: 'a non-empty string' },
+  price:    { required: true,  check: v => typeof v === 'number' && isFinite(v) && v >= 0, expected: 'a non-negative number' },
+  currency: { required: true,  check: v => typeof v === 'string' && /^[A-Z]{3}$/.test(v), expected: 'an ISO 4217 code such as "USD"' },
+  sizes:    { required: false, check: isStringArray, expected: 'an array of strings' },
+  colors:   { required: false, check: isStringArray, expected: 'an array of strings' },
+  tags:     { required: false, check: isStringArray, expected: 'an array of strings' },
+  fitting:  { required: false, check: v => v !== null && typeof v === 'object' && !Array.isArray(v), expected: 'an object' },
+  sizing:   { required: false, check: v => v !== null && typeof v === 'object' && !Array.isArray(v), expected: 'an object' },
+  variants: { required: false, check: v => Array.isArray(v) && v.length >= 1, expected: 'a non-empty array of colour variants' },
+  model:    { required: false, check: isModelSpec, expected: 'an object with a .gltf/.glb src, optional positive scale and [x, y, z] offset in metres' }
+};
+
+// Field rules for an entry's fitting metadata
+const FITTING_SCHEMA = {
+  scale:   { required: false, check: v => typeof v === 'number' && v > 0, expected: 'a positive number' },
+  offsetY: { required: false, check: v => typeof v === 'number' && v >= -0.5 && v <= 0.5, expected: 'a number between -0.5 and 0.5' },
+  anchors: { required: false, check: v => Array.isArray(v) && v.length >= 1, expected: 'a non-empty array of anchor points' },
+  widthRatio: { required: false, check: v => typeof v === 'number' && v > 0, expected: 'a positive number' },
+  behindFace: { required: false, check: v => typeof v === 'boolean', expected: 'true or false' },
+  sourceRect: { required: false, check: isSourceRect, expected: 'an object with positive x, y, width and height' },
+  mesh: { required: false, check: v => v !== null && typeof v === 'object' && Array.isArray(v.vertices) && v.vertices.length >= 3, expected: 'an object with at least 3 vertices' },
+  behindHead: { required: false, check: v => Array.isArray(v) && v.length >= 1, expected: 'a non-empty array of regions' }
+};
+
+// Field rules for one anchor point: a pixel position in the asset bound to a face point
+const ANCHOR_SCHEMA = {
+  x:        { required: true, check: v => typeof v === 'number' && v >= 0, expected: 'a non-negative pixel x' },
+  y:        { required: true, check: v => typeof v === 'number' && v >= 0, expected: 'a non-negative pixel y' },
+  landmark: { required: true, check: isFaceAnchorBinding, expected: () => `a landmark index (0-477) or one of ${Object.keys(FACE_ANCHOR_POINTS).concat(Object.keys(DERIVED_ANCHOR_POINTS)).join(', ')}` }
+};
+
+// Plausible eyewear measurements in mm - catalog sizing and recommendations stay within them
+const FRAME_SIZE_LIMITS = {
+  lensWidth: { min: 30, max: 70 },
+  bridgeWidth: { min: 10, max: 30 },
+  templeLength: { min: 110, max: 160 }
+};
+
+function isWithinFrameSizeLimit(field, value) {
+  const limit = FRAME_SIZE_LIMITS[field];
+  return typeof value === 'number' && value >= limit.min && value <= limit.max;
+}
+
+// Field rules for eyewear sizing, the "52□18-140" printed on a frame's temple (mm)
+const SIZING_SCHEMA = {
+  lensWidth:    { required: true, check: v => isWithinFrameSizeLimit('lensWidth', v), expected: 'a lens width between 30 and 70 mm' },
+  bridgeWidth:  { required: true, check: v => isWithinFrameSizeLimit('bridgeWidth', v), expected: 'a bridge width between 10 and 30 mm' },
+  templeLength: { required: true, check: v => isWithinFrameSizeLimit('templeLength', v), expected: 'a temple length between 110 and 160 mm' }
+};
+
+// Field rules for one colour variant: its own image (src) or a recolour of the
+// product image (recolor), or neither for the colour the product image already shows
+const VARIANT_SCHEMA = {
+  id:      { required: true,  check: v => typeof v === 'string' && /^[a-z0-9-]+$/.test(v), expected: 'a lowercase id such as "matte-black"' },
+  name:    { required: true,  check: v => typeof v === 'string' && v.trim() !== '', expected: 'a non-empty string' },
+  swatch:  { required: true,  check: isHexColor, expected: 'a hex colour such as "#1f2937"' },
+  src:     { required: false, check: v => typeof v === 'string' && v.trim() !== '', expected: 'an image path' },
+  recolor: { required: false, check: isRecolorSpec, expected: 'an object with a hex color and an optional mask image path' }
+};
+
+// Field rules for one "behind head" region: a sprite rectangle hidden inside the
+// head silhouette, always or once its side of the asset turns away
+const BEHIND_HEAD_REGION_SCHEMA = {
+  x:      { required: true, check: v => typeof v === 'number' && v >= 0, expected: 'a non-negative pixel x' },
+  y:      { required: true, check: v => typeof v === 'number' && v >= 0, expected: 'a non-negative pixel y' },
+  width:  { required: true, check: v => typeof v === 'number' && v > 0, expected: 'a positive pixel width' },
+  height: { required: true, check: v => typeof v === 'number' && v > 0, expected: 'a positive pixel height' },
+  side:   { required: false, check: v => v === 'left' || v === 'right', expected: '"left" or "right"' },
+  minYaw: { required: false, check: v => typeof v === 'number' && v >= 0 && v <= 90, expected: 'degrees between 0 and 90' }
+};
+
+// Field rules for one warp mesh vertex - an anchor whose landmark binding is optional
+const MESH_VERTEX_SCHEMA = {
+  ...ANCHOR_SCHEMA,
+  landmark: { ...ANCHOR_SCHEMA.landmark, required: false }
+};
+
+function isFaceAnchorBinding(value) {
+  return (Number.isInteger(value) && value >= 0 && value < 478) ||
+    Object.prototype.hasOwnProperty.call(FACE_ANCHOR_POINTS, value) ||
+    Object.prototype.hasOwnProperty.call(DERIVED_ANCHOR_POINTS, value);
+}
+
+function isModelSpec(value) {
+  return value !== null && typeof value === 'object' &&
+    typeof value.src === 'string' && /\.(gltf|glb)$/i.test(value.src) &&
+    (value.scale === undefined || (typeof value.scale === 'number' && value.scale > 0)) &&
+    (value.offset === undefined || (Array.isArray(value.offset) && value.offset.length === 3 &&
+      value.offset.every(v => typeof v === 'number')));
+}
+
+function isSourceRect(value) {
+  return value !== null && typeof value === 'object' &&
+    ['x', 'y'].every(key => typeof value[key] === 'number' && value[key] >= 0) &&
+    ['width', 'height'].every(key => typeof value[key] === 'number' && value[key] > 0);
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isHexColor(value) {
+  return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+}
+
+function isRecolorSpec(value) {
+  return value !== null && typeof value === 'object' && isHexColor(value.color) &&
+    (value.mask === undefined || (typeof value.mask === 'string' && value.mask.trim() !== ''));
+}
+
+// Check a product's colour variants, returns a list of problems
+function validateVariants(variants, path) {
+  if (!Array.isArray(variants)) return [];
+  
+  const problems = [];
+  const seenVariantIds = new Set();
+  variants.forEach((variant, variantIndex) => {
+    const variantPath = `${path}[${variantIndex}]`;
+    if (!variant || typeof variant !== 'object') {
+      problems.push(`${variantPath} must be an object`);
+      return;
+    }
+    problems.push(...validateFields(variant, VARIANT_SCHEMA, variantPath));
+    if (variant.src !== undefined && variant.recolor !== undefined) {
+      problems.push(`${variantPath} must have either a src or a recolor, not both`);
+    }
+    if (seenVariantIds.has(variant.id)) {
+      problems.push(`${variantPath}.id duplicates an earlier variant`);
+    }
+    seenVariantIds.add(variant.id);
+  });
+  return problems;
+}
+
+// Check a warp mesh's vertices and optional triangle list, returns a list of problems
+function validateMesh(mesh, path) {
+  if (!mesh || !Array.isArray(mesh.vertices)) return [];
+  
+  const problems = [];
+  mesh.vertices.forEach((vertex, vertexIndex) => {
+    if (!vertex || typeof vertex !== 'object') {
+      problems.push(`${path}.vertices[${vertexIndex}] must be an object`);
+    } else {
+      problems.push(...validateFields(vertex, MESH_VERTEX_SCHEMA, `${path}.vertices[${vertexIndex}]`));
+    }
+  });
+  
+  if (mesh.vertices.filter(v => v && v.landmark !== undefined).length < 2) {
+    problems.push(`${path} needs at least 2 vertices bound to a landmark`);
+  }
+  
+  if (mesh.triangles !== undefined) {
+    const isTriangle = t => Array.isArray(t) && t.length === 3 &&
+      t.every(i => Number.isInteger(i) && i >= 0 && i < mesh.vertices.length);
+    if (!Array.isArray(mesh.triangles) || !mesh.triangles.every(isTriangle)) {
+      problems.push(`${path}.triangles must be an array of [i, j, k] vertex index triples`);
+    }
+  }
+  
+  return problems;
+}
+
+// Check an object against a field schema, returns a list of problems
+function validateFields(value, schema, path) {
+  const problems = [];
+  Object.keys(schema).forEach(field => {
+    const rule = schema[field];
+    if (value[field] === undefined) {
+      if (rule.required) problems.push(`${path}.${field} is missing`);
+      return;
+    }
+    if (!rule.check(value[field])) {
+      const expected = typeof rule.expected === 'function' ? rule.expected() : rule.expected;
+      problems.push(`${path}.${field} must be ${expected} (got ${JSON.stringify(value[field])})`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Validate a catalog manifest
+ * 
+ * Invalid entries are dropped individually so one bad product doesn't hide the
+ * rest of the catalog; every problem is reported in the returned errors list.
+ * 
+ * @param {Object} manifest - Parsed catalog JSON
+ * @returns {Object} { products, errors }
+ */
+function validateCatalogManifest(manifest) {
+  if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.products)) {
+    return { products: [], errors: ['Catalog manifest must be an object with a "products" array'] };
+  }
+  
+  if (!Number.isInteger(manifest.schemaVersion)) {
+    return { products: [], errors: ['Catalog manifest is missing an integer "schemaVersion"'] };
+  }
+  
+  if (manifest.schemaVersion > CATALOG_SCHEMA_VERSION) {
+    return {
+      products: [],
+      errors: [`Catalog schemaVersion ${manifest.schemaVersion} is newer than supported version ${CATALOG_SCHEMA_VERSION}`]
+    };
+  }
+  
+  const validProducts = [];
+  const validLabels = [];
+  const errors = [];
+  const seenIds = new Set();
+  
+  manifest.products.forEach((entry, index) => {
+    const label = entry && entry.id !== undefined ? `products[${index}] (id ${entry.id})` : `products[${index}]`;
+    
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    
+    const problems = validateFields(entry, CATALOG_ENTRY_SCHEMA, label);
+    if (entry.sizing && typeof entry.sizing === 'object') {
+      problems.push(...validateFields(entry.sizing, SIZING_SCHEMA, `${label}.sizing`));
+    }
+    problems.push(...validateVariants(entry.variants, `${label}.variants`));
+    if (entry.fitting && typeof entry.fitting === 'object') {
+      problems.push(...validateFields(entry.fitting, FITTING_SCHEMA, `${label}.fitting`));
+      if (Array.isArray(entry.fitting.anchors) && entry.fitting.anchors.length === 1 &&
+          entry.fitting.widthRatio === undefined && !(OVERLAY_TYPE_STRATEGIES[entry.type] || {}).widthRatio) {
+        problems.push(`${label}.fitting.widthRatio is required with a single anchor`);
+      }
+      if (Array.isArray(entry.fitting.anchors)) {
+        entry.fitting.anchors.forEach((anchor, anchorIndex) => {
+          const anchorPath = `${label}.fitting.anchors[${anchorIndex}]`;
+          if (!anchor || typeof anchor !== 'object') {
+            problems.push(`${anchorPath} must be an object`);
+          } else {
+            problems.push(...validateFields(anchor, ANCHOR_SCHEMA, anchorPath));
+          }
+        });
+      }
+      problems.push(...validateMesh(entry.fitting.mesh, `${label}.fitting.mesh`));
+      if (Array.isArray(entry.fitting.behindHead)) {
+        entry.fitting.behindHead.forEach((region, regionIndex) => {
+          const regionPath = `${label}.fitting.behindHead[${regionIndex}]`;
+          if (!region || typeof region !== 'object') {
+            problems.push(`${regionPath} must be an object`);
+          } else {
+            problems.push(...validateFields(region, BEHIND_HEAD_REGION_SCHEMA, regionPath));
+          }
+        });
+      }
+    }
+    
+    if (seenIds.has(entry.id)) {
+      problems.push(`${label}.id duplicates an earlier product`);
+    }
+    
+    if (problems.length > 0) {
+      errors.push(...problems);
+      return;
+    }
+    
+    seenIds.add(entry.id);
+    const fitting = { scale: 1.0, offsetY: 0.0, ...(entry.fitting || {}) };
+    if (fitting.mesh && !fitting.mesh.triangles) {
+      fitting.mesh = { ...fitting.mesh, triangles: triangulateMeshVertices(fitting.mesh.vertices) };
+    }
+    validProducts.push({
+      sizes: [],
+      colors: [],
+      tags: [],
+      variants: [],
+      ...entry,
+      fitting
+    });
+    validLabels.push(label);
+  });
+  
+  // Cart totals add prices up, so the whole catalog must share one currency -
+  // products priced in any other are dropped
+  const catalogCurrency = getCatalogCurrency(manifest, validProducts, errors);
+  const products = validProducts.filter((product, index) => {
+    if (product.currency === catalogCurrency) return true;
+    errors.push(`${validLabels[index]}.currency "${product.currency}" doesn't match the catalog currency "${catalogCurrency}"`);
+    return false;
+  });
+  
+  return { products, errors };
+}
+
+// The manifest's top-level currency, or else the one most products use
+function getCatalogCurrency(manifest, products, errors) {
+  if (manifest.currency !== undefined) {
+    if (CATALOG_ENTRY_SCHEMA.currency.check(manifest.currency)) {
+      return manifest.currency;
+    }
+    errors.push(`Catalog currency must be ${CATALOG_ENTRY_SCHEMA.currency.expected} (got ${JSON.stringify(manifest.currency)})`);
+  }
+  
+  const counts = new Map();
+  products.forEach(product => counts.set(product.currency, (counts.get(product.currency) || 0) + 1));
+  let catalogCurrency = null;
+  counts.forEach((count, currency) => {
+    if (catalogCurrency === null || count > counts.get(catalogCurrency)) {
+      catalogCurrency = currency;
+    }
+  });
+  return catalogCurrency;
+}
+
+// Fetch and validate the catalog manifest
+async function loadCatalog() {
+  try {
+    const response = await fetch(CATALOG_URL, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    const manifest = await response.json();
+    const result = validateCatalogManifest(manifest);
+    products = result.products;
+    catalogErrors = result.errors;
+  } catch (err) {
+    products = [];
+    catalogErrors = [`Could not load catalog: ${err.message}`];
+  }
+  
+  if (catalogErrors.length > 0) {
+    console.warn(`Catalog has ${catalogErrors.length} problem(s):\n` + catalogErrors.join('\n'));
+  }
+}
+
+// Find a catalog product by its image source
+function getProductBySrc(src) {
+  return products.find(p => p.src === src) || null;
+}
+
+// Format a price in the product's currency
+function formatPrice(amount, currency = 'USD') {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+  } catch (err) {
+    return `${currency} ${amount.toFixed(2)}`;
+  }
+}
+
+// Apply product to try-on (used by both thumbnail buttons and product library)
+// Each product is worn in its own slot, so glasses, a hat and clothing can be layered.
+// Applying a product replaces whatever was in that slot; an empty src removes the active layer.
+// options: scale/offsetY override the catalog fitting, variantId picks a colour variant.
+function applyProduct(src, type, options = {}) {
+  if (!src) {
+    if (activeLayerSlot) {
+      removeLayer(activeLayerSlot);
+    }
+    return;
+  }
+  
+  const layer = createProductLayer(src, type, options);
+  if (!layer) return;
+  
+  // Register the layer immediately so z-order and the active slot are correct even
+  // if images finish loading out of order; drawOverlayLayers() skips layers without a sprite
+  overlayLayers[layer.slot] = layer;
+  activeLayerSlot = layer.slot;
+  
+  syncSlidersToActiveLayer();
+  updateActiveProductCards();
+  renderLayerList();
+}
+
+// A layer's manual adjustments, as options for createProductLayer()
+function getLayerAdjustments(layer) {
+  const adjustments = {};
+  LAYER_ADJUSTMENT_FIELDS.forEach(field => {
+    adjustments[field] = layer[field];
+  });
+  return adjustments;
+}
+
+/**
+ * Build the layer a product is worn as, and start loading its image (and 3D model)
+ * Not worn until it's added to a face's layers; compare tiles draw their own.
+ *
+ * @param {string} src - The product's catalog src
+ * @param {string} type - Overlay type, which decides the slot
+ * @param {Object} options - See applyProduct()
+ * @returns {Object|null} Layer, or null if the type has no slot
+ */
+function createProductLayer(src, type, options = {}) {
+  const slot = TYPE_TO_SLOT[type];
+  if (!slot) {
+    console.warn('No layer slot for overlay type:', type);
+    return null;
+  }
+  
+  // Start from the product's catalog fitting defaults unless told otherwise
+  const product = getProductBySrc(src);
+  const fitting = product ? product.fitting : { scale: 1.0, offsetY: 0.0 };
+  const variant = getProductVariant(product, options.variantId);
+  
+  const layer = {
+    slot,
+    src,
+    type,
+    variantId: variant ? variant.id : null,
+    sprite: null,
+    fitting,
+    scale: options.scale !== undefined ? options.scale : fitting.scale,
+    offsetY: options.offsetY !== undefined ? options.offsetY : fitting.offsetY,
+    nudgeX: options.nudgeX || 0,             // Dragged on the canvas, in face widths (see "Canvas Gestures")
+    nudgeY: options.nudgeY || 0,
+    rotationTrim: options.rotationTrim || 0  // Twisted on the canvas, radians
+  };
+  
+  loadVariantImage(src, variant).then(img => {
+    layer.sprite = fitting.sourceRect ? cropSprite(img, fitting.sourceRect) : img;
+    if (fitting.behindHead) {
+      layer.behindHead = splitBehindHeadRegions(layer.sprite, fitting.behindHead);
+    }
+    requestRender();
+  }).catch(error => console.warn('Could not load product image:', error));
+  
+  // The PNG stays loaded as the fallback if the 3D model or WebGL fails
+  attachLayerModel(layer, product && product.model);
+  return layer;
+}
+
+// Cut a region out of a product image (e.g. one lash from an artwork showing both)
+function cropSprite(image, rect) {
+  const spriteCanvas = document.createElement('canvas');
+  spriteCanvas.width = rect.width;
+  spriteCanvas.height = rect.height;
+  spriteCanvas.getContext('2d').drawImage(
+    image,
+    rect.x, rect.y, rect.width, rect.height,
+    0, 0, rect.width, rect.height
+  );
+  return spriteCanvas;
+}
+
+// Take off the product worn in a slot
+function removeLayer(slot) {
+  if (!overlayLayers[slot]) return;
+  delete overlayLayers[slot];
+  
+  // Hand slider control to the front-most remaining layer
+  if (activeLayerSlot === slot) {
+    const remaining = getOrderedLayers();
+    activeLayerSlot = remaining.length > 0 ? remaining[remaining.length - 1].slot : null;
+  }
+  
+  syncSlidersToActiveLayer();
+  updateActiveProductCards();
+  renderLayerList();
+  requestRender();
+}
+
+// Remove every worn layer
+function clearLayers() {
+  // Emptied in place - the object is also the selected face's outfit
+  Object.keys(overlayLayers).forEach(slot => delete overlayLayers[slot]);
+  activeLayerSlot = null;
+  syncSlidersToActiveLayer();
+  updateActiveProductCards();
+  renderLayerList();
+  requestRender();
+}
+
+// Select which layer the scale/offset sliders adjust
+function setActiveLayer(slot) {
+  if (!overlayLayers[slot]) return;
+  activeLayerSlot = slot;
+  syncSlidersToActiveLayer();
+  renderLayerList();
+}
+
+// Highlight product cards for every product currently worn
+function updateActiveProductCards() {
+  document.querySelectorAll('.thumb').forEach(b => b.classList.remove('active'));
+  document.querySelectorAll('.product-card').forEach(card => {
+    card.classList.remove('ring-2', 'ring-blue-500');
+  });
+  
+  Object.values(overlayLayers).forEach(layer => {
+    const productCard = document.querySelector(`[data-product-src="${layer.src}"]`);
+    if (productCard) {
+      productCard.classList.add('ring-2', 'ring-blue-500');
+    }
+  });
+}
+
+// Render the list of worn layers (front-most first) with select/remove controls
+function renderLayerList() {
+  const layerList = document.getElementById('layerList');
+  if (!layerList) return;
+  
+  const layers = getOrderedLayers().reverse();
+  if (layers.length === 0) {
+    layerList.innerHTML = '<p class="text-xs text-gray-500">No items worn</p>';
+    return;
+  }
+  
+  layerList.innerHTML = layers.map(layer => `
+    <div class="layer-chip flex items-center rounded-lg text-xs ${layer.slot === activeLayerSlot ? 'bg-blue-600' : 'bg-gray-700'}">
+      <button class="select-layer-btn px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-400 rounded-l-lg" data-slot="${layer.slot}" title="Adjust ${LAYER_SLOTS[layer.slot].label}">
+        ${LAYER_SLOTS[layer.slot].label}: ${getVariantProductName(layer.src, layer.variantId)}
+      </button>
+      <button class="remove-layer-btn px-2 py-1 text-gray-300 hover:text-white focus:outline-none focus:ring-2 focus:ring-red-400 rounded-r-lg" data-slot="${layer.slot}" aria-label="Remove ${LAYER_SLOTS[layer.slot].label}">✕</button>
+    </div>
+  `).join('');
+  
+  layerList.querySelectorAll('.select-layer-btn').forEach(btn => {
+    btn.addEventListener('click', () => setActiveLayer(btn.dataset.slot));
+  });
+  
+  layerList.querySelectorAll('.remove-layer-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const layer = overlayLayers[btn.dataset.slot];
+      recordHistoryStep(`Remove ${getVariantProductName(layer.src, layer.variantId)}`, () => removeLayer(btn.dataset.slot));
+    });
+  });
+}
+
+// Render products in library
+function renderProducts(category = 'all') {
+  const productGrid = document.getElementById('productGrid');
+  const categoryProducts = category === 'all' 
+    ? products 
+    : products.filter(p => p.category === category);
+  const filteredProducts = categoryProducts.filter(p => {
+    if (!hideNonFittingFrames) return true;
+    const fit = getFrameFit(p);
+    return !fit || fit.fits;
+  });
+  
+  // Surface manifest problems instead of silently dropping products
+  const catalogNotice = catalogErrors.length > 0 ? `
+    <details class="bg-yellow-900/60 border border-yellow-700 rounded-lg p-2.5 text-xs text-yellow-200">
+      <summary class="cursor-pointer font-semibold">⚠️ ${catalogErrors.length} catalog problem(s) - some products may be missing</summary>
+      <ul class="mt-2 list-disc pl-4 space-y-1">
+        ${catalogErrors.map(error => `<li>${error}</li>`).join('')}
+      </ul>
+    </details>
+  ` : '';
+  
+  // Say when the fit filter is what emptied the list, so it doesn't look like there are no frames
+  let emptyNotice = '';
+  if (filteredProducts.length === 0 && categoryProducts.length > 0) {
+    emptyNotice = `<p class="text-gray-400 text-center text-sm py-8">All ${categoryProducts.length} frame(s) here were hidden by the fit filter - untick "Hide frames that don't fit" above to see them</p>`;
+  } else if (filteredProducts.length === 0) {
+    emptyNotice = '<p class="text-gray-400 text-center text-sm py-8">No products in this category</p>';
+  }
+  
+  productGrid.innerHTML = catalogNotice + renderFrameSizeAdvice(category) + emptyNotice + filteredProducts.map(product => `
+    <div class="bg-gray-700 rounded-lg p-2.5 hover:bg-gray-600 transition cursor-pointer product-card focus-within:ring-2 focus-within:ring-blue-400" data-product-src="${product.src}" tabindex="0">
+      <div class="flex gap-2.5">
+        <img src="${getVariantPreviewSrc(product, getSelectedVariant(product))}" alt="${product.name}" class="w-16 h-16 object-contain bg-gray-800 rounded flex-shrink-0" onerror="this.src='data:image/svg+xml,%3Csvg xmlns=%27http://www.w3.org/2000/svg%27 width=%27200%27 height=%27200%27%3E%3Crect fill=%27%23333%27 width=%27200%27 height=%27200%27/%3E%3Ctext fill=%27%23999%27 font-family=%27sans-serif%27 font-size=%2714%27 dy=%2710.5%27 font-weight=%27bold%27 x=%2750%25%27 y=%2750%25%27 text-anchor=%27middle%27%3ENo Image%3C/text%3E%3C/svg%3E';">
+        <div class="flex-1 min-w-0">
+          <h3 class="font-semibold text-sm mb-0.5 leading-tight">${product.name}</h3>
+          <p class="text-xs text-gray-400 mb-1.5">${product.category.charAt(0).toUpperCase() + product.category.slice(1)}</p>
+          ${renderFrameFitBadge(product)}
+          ${renderVariantSwatches(product)}
+          <div class="flex items-center justify-between gap-2">
+            <span class="text-green-400 font-bold text-sm">${formatPrice(product.price, product.currency)}</span>
+            <div class="flex gap-1.5">
+              <button class="bg-blue-600 hover:bg-blue-700 text-white px-2.5 py-1 rounded text-xs try-on-btn focus:outline-none focus:ring-2 focus:ring-blue-400" data-src="${product.src}" data-type="${product.type}">
+                Try On
+              </button>
+              <button class="bg-green-600 hover:bg-green-700 text-white px-2.5 py-1 rounded text-xs add-to-cart-btn focus:outline-none focus:ring-2 focus:ring-green-400" data-product-id="${product.id}">
+                + Cart
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  `).join('');
+  
+  // Recoloured thumbnails are rendered the first time they're shown
+  filteredProducts.forEach(product => {
+    const thumbnail = productGrid.querySelector(`[data-product-src="${product.src}"] img`);
+    if (thumbnail) loadVariantPreview(product, getSelectedVariant(product), thumbnail);
+  });
+  
+  // Add event listeners
+  document.querySelectorAll('.try-on-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const src = btn.dataset.src;
+      const type = btn.dataset.type;
+      const variant = getSelectedVariant(getProductBySrc(src));
+      tryOnProduct(src, type, variant ? variant.id : undefined);
+    });
+  });
+  
+  document.querySelectorAll('.variant-swatch').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      selectProductVariant(parseInt(btn.dataset.productId), btn.dataset.variantId);
+    });
+  });
+  
+  document.querySelectorAll('.add-to-cart-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const productId = parseInt(btn.dataset.productId);
+      addToCart(productId);
+    });
+  });
+  
+  // Click on product card to try on
+  document.querySelectorAll('.product-card').forEach(card => {
+    card.addEventListener('click', (e) => {
+      if (!e.target.classList.contains('add-to-cart-btn') && !e.target.classList.contains('try-on-btn')) {
+        const src = card.dataset.productSrc;
+        const product = getProductBySrc(src);
+        if (product) {
+          const variant = getSelectedVariant(product);
+          tryOnProduct(src, product.type, variant ? variant.id : undefined);
+        }
+      }
+    });
+  });
+  
+  const fitFilterToggle = document.getElementById('fitFilterToggle');
+  if (fitFilterToggle) {
+    fitFilterToggle.addEventListener('change', () => {
+      hideNonFittingFrames = fitFilterToggle.checked;
+      renderProducts(category);
+    });
+  }
+  
+  // Re-apply worn highlights to the freshly rendered cards
+  updateActiveProductCards();
+}
+
+// Add to cart, in the given colour or the one picked on the product's card
+function addToCart(productId, variantId = selectedVariants[productId]) {
+  const product = products.find(p => p.id === productId);
+  if (!product) return;
+  
+  const variant = getProductVariant(product, variantId);
+  shoppingCart.push({
+    ...product,
+    cartId: Date.now(),
+    variantId: variant ? variant.id : null,
+    variantName: variant ? variant.name : null,
+    thumbnail: getVariantPreviewSrc(product, variant)
+  });
+  updateCartUI();
+  
+  // Show notification
+  const btn = document.querySelector(`.add-to-cart-btn[data-product-id="${productId}"]`);
+  if (btn) {
+    const originalText = btn.textContent;
+    btn.textContent = '✓ Added';
+    btn.classList.add('bg-green-500');
+    setTimeout(() => {
+      btn.textContent = originalText;
+      btn.classList.remove('bg-green-500');
+    }, 1500);
+  }
+}
+
+// Currency for cart totals - validateCatalogManifest() drops products priced in any other
+function getCartCurrency() {
+  return shoppingCart.length > 0 ? shoppingCart[0].currency : 'USD';
+}
+
+// Remove from cart
+function removeFromCart(cartId) {
+  shoppingCart = shoppingCart.filter(item => item.cartId !== cartId);
+  updateCartUI();
+}
+
+// Update cart UI
+function updateCartUI() {
+  const cartBadge = document.getElementById('cartBadge');
+  const cartItems = document.getElementById('cartItems');
+  const cartTotal = document.getElementById('cartTotal');
+  const checkoutBtn = document.getElementById('checkoutBtn');
+  
+  // Update badge
+  const itemCount = shoppingCart.length;
+  if (itemCount > 0) {
+    cartBadge.textContent = itemCount;
+    cartBadge.classList.remove('hidden');
+  } else {
+    cartBadge.classList.add('hidden');
+  }
+  
+  // Update cart items
+  if (shoppingCart.length === 0) {
+    cartItems.innerHTML = '<p class="text-gray-400 text-center py-8">Your cart is empty</p>';
+    checkoutBtn.disabled = true;
+  } else {
+    const total = shoppingCart.reduce((sum, item) => sum + item.price, 0);
+    cartItems.innerHTML = shoppingCart.map(item => `
+      <div class="flex items-center gap-3 p-3 bg-gray-700 rounded-lg mb-2">
+        <img src="${item.thumbnail || item.src}" alt="${item.name}" class="w-16 h-16 object-contain bg-gray-800 rounded">
+        <div class="flex-1">
+          <h4 class="font-semibold text-sm">${item.name}</h4>
+          ${item.variantName ? `<p class="text-xs text-gray-400">Colour: ${item.variantName}</p>` : ''}
+          <p class="text-green-400 font-bold">${formatPrice(item.price, item.currency)}</p>
+        </div>
+        <button class="remove-from-cart-btn text-red-400 hover:text-red-300 px-2" data-cart-id="${item.cartId}">
+          ✕
+        </button>
+      </div>
+    `).join('');
+    
+    cartTotal.textContent = formatPrice(total, getCartCurrency());
+    checkoutBtn.disabled = false;
+    
+    // Add remove listeners
+    document.querySelectorAll('.remove-from-cart-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const cartId = parseInt(btn.dataset.cartId);
+        removeFromCart(cartId);
+      });
+    });
+  }
+}
+
+// Setup shopping cart and product library event listeners
+function setupShoppingCartAndLibrary() {
+  // Category filter
+  document.querySelectorAll('.filter-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      document.querySelectorAll('.filter-btn').forEach(b => {
+        b.classList.remove('active', 'bg-blue-600');
+        b.classList.add('bg-gray-700');
+      });
+      btn.classList.add('active', 'bg-blue-600');
+      btn.classList.remove('bg-gray-700');
+      currentCategory = btn.dataset.category;
+      renderProducts(currentCategory);
+    });
+  });
+
+  // Cart modal
+  const cartBtn = document.getElementById('cartBtn');
+  const cartModal = document.getElementById('cartModal');
+  const closeCartBtn = document.getElementById('closeCartBtn');
+
+  if (cartBtn && cartModal) {
+    cartBtn.addEventListener('click', () => {
+      cartModal.classList.remove('hidden');
+    });
+  }
+
+  if (closeCartBtn && cartModal) {
+    closeCartBtn.addEventListener('click', () => {
+      cartModal.classList.add('hidden');
+    });
+  }
+
+  if (cartModal) {
+    cartModal.addEventListener('click', (e) => {
+      if (e.target === cartModal) {
+        cartModal.classList.add('hidden');
+      }
+    });
+  }
+
+  // Checkout
+  const checkoutBtn = document.getElementById('checkoutBtn');
+  if (checkoutBtn) {
+    checkoutBtn.addEventListener('click', () => {
+      if (shoppingCart.length > 0) {
+        alert(`Checkout complete! ${shoppingCart.length} item(s) for ${formatPrice(shoppingCart.reduce((sum, item) => sum + item.price, 0), getCartCurrency())}`);
+        // In a real app, you would redirect to checkout or send data to backend
+      }
+    });
+  }
+
+  // Mobile library toggle
+  const toggleLibraryBtn = document.getElementById('toggleLibraryBtn');
+  const closeLibraryBtn = document.getElementById('closeLibraryBtn');
+  const productLibrary = document.querySelector('.product-library');
+
+  if (toggleLibraryBtn && productLibrary) {
+    toggleLibraryBtn.addEventListener('click', () => {
+      productLibrary.classList.add('open');
+    });
+  }
+
+  if (closeLibraryBtn && productLibrary) {
+    closeLibraryBtn.addEventListener('click', () => {
+      productLibrary.classList.remove('open');
+    });
+  }
+}
+
+// Thumbnail buttons are now set up in setupThumbnailButtons() function
+
+// Setup slider event listeners
+function setupSliders() {
+  const scaleSlider = document.getElementById('scale');
+  const offsetSlider = document.getElementById('offY');
+  
+  // Sliders adjust the active layer only; one drag is one undo step
+  if (scaleSlider) {
+    scaleSlider.addEventListener('input', (e) => {
+      const layer = overlayLayers[activeLayerSlot];
+      if (!layer) return;
+      beginHistoryStep(`Resize ${getVariantProductName(layer.src, layer.variantId)}`);
+      layer.scale = parseFloat(e.target.value);
+      requestRender();
+    });
+    scaleSlider.addEventListener('change', commitHistoryStep);
+  }
+  
+  if (offsetSlider) {
+    offsetSlider.addEventListener('input', (e) => {
+      const layer = overlayLayers[activeLayerSlot];
+      if (!layer) return;
+      beginHistoryStep(`Move ${getVariantProductName(layer.src, layer.variantId)}`);
+      layer.offsetY = parseFloat(e.target.value);
+      requestRender();
+    });
+    offsetSlider.addEventListener('change', commitHistoryStep);
+  }
+}
+
+// Reflect the active layer's scale/offset in the sliders
+function syncSlidersToActiveLayer() {
+  const scaleSlider = document.getElementById('scale');
+  const offsetSlider = document.getElementById('offY');
+  const layer = overlayLayers[activeLayerSlot];
+  
+  if (scaleSlider) scaleSlider.value = layer ? layer.scale : 1.0;
+  if (offsetSlider) offsetSlider.value = layer ? layer.offsetY : 0.0;
+}
+
+// ========================================
+// Edit History
+// ========================================
+// Undo/redo for outfit edits: products put on, swapped or taken off, colour
+// changes, slider adjustments and closet restores. Each step keeps the outfit
+// before and after as plain data (see captureOutfitState()), and undoing rebuilds
+// only the layers whose product changed. A step belongs to the outfit it edited,
+// so undo still works after selecting another face.
+const HISTORY_LIMIT = 50;
+
+let undoStack = [];
+let redoStack = [];
+let pendingHistoryStep = null; // Begun but not yet committed, e.g. while a slider is dragged
+
+// Plain copy of an outfit: the product, colour and adjustments worn in each slot
+function captureOutfitState(layers) {
+  const state = {};
+  Object.values(layers).forEach(layer => {
+    state[layer.slot] = { src: layer.src, type: layer.type, variantId: layer.variantId, ...getLayerAdjustments(layer) };
+  });
+  return state;
+}
+
+function isSameOutfitState(a, b) {
+  const slots = Object.keys(a);
+  return slots.length === Object.keys(b).length &&
+    slots.every(slot => b[slot] && Object.keys(a[slot]).every(key => a[slot][key] === b[slot][key]));
+}
+
+// Remember the selected outfit before a change; repeated calls extend the same step
+function beginHistoryStep(label) {
+  if (pendingHistoryStep) return;
+  pendingHistoryStep = {
+    label,
+    layers: overlayLayers,
+    before: captureOutfitState(overlayLayers),
+    beforeActiveSlot: activeLayerSlot
+  };
+}
+
+// Finish the pending step, keeping it only if the outfit actually changed
+function commitHistoryStep() {
+  const step = pendingHistoryStep;
+  pendingHistoryStep = null;
+  if (!step) return;
+  
+  step.after = captureOutfitState(step.layers);
+  if (isSameOutfitState(step.before, step.after)) return;
+  step.afterActiveSlot = step.layers === overlayLayers ? activeLayerSlot : step.beforeActiveSlot;
+  
+  undoStack.push(step);
+  if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  redoStack = [];
+  updateHistoryButtons();
+}
+
+// Make one outfit change an undoable step
+function recordHistoryStep(label, change) {
+  commitHistoryStep();
+  beginHistoryStep(label);
+  try {
+    change();
+  } finally {
+    commitHistoryStep();
+  }
+}
+
+/**
+ * Put an outfit back to a saved state
+ * Layers keeping the same product and colour are adjusted in place, so undoing a
+ * slider move doesn't reload images; the rest are rebuilt from the catalog.
+ *
+ * @param {Object} layers - The outfit (a face track's layers), changed in place
+ * @param {Object} state - From captureOutfitState()
+ * @param {string|null} activeSlot - Slot to hand the sliders to, if still worn
+ */
+function restoreOutfitState(layers, state, activeSlot) {
+  Object.keys(layers).forEach(slot => {
+    if (!state[slot]) delete layers[slot];
+  });
+  Object.entries(state).forEach(([slot, item]) => {
+    const layer = layers[slot];
+    if (!layer || layer.src !== item.src || layer.variantId !== item.variantId) {
+      layers[slot] = createProductLayer(item.src, item.type, item);
+    }
+    LAYER_ADJUSTMENT_FIELDS.forEach(field => {
+      layers[slot][field] = item[field];
+    });
+  });
+  
+  const remaining = getOrderedLayers(layers);
+  const slot = layers[activeSlot] ? activeSlot : (remaining.length > 0 ? remaining[remaining.length - 1].slot : null);
+  if (layers === overlayLayers) {
+    activeLayerSlot = slot;
+  } else {
+    const track = faceTracks.find(t => t.layers === layers);
+    if (track) track.activeLayerSlot = slot;
+  }
+  
+  syncSlidersToActiveLayer();
+  updateActiveProductCards();
+  renderLayerList();
+  requestRender();
+}
+
+function undo() {
+  commitHistoryStep();
+  const step = undoStack.pop();
+  if (!step) return;
+  
+  restoreOutfitState(step.layers, step.before, step.beforeActiveSlot);
+  redoStack.push(step);
+  updateHistoryButtons();
+}
+
+function redo() {
+  commitHistoryStep();
+  const step = redoStack.pop();
+  if (!step) return;
+  
+  restoreOutfitState(step.layers, step.after, step.afterActiveSlot);
+  undoStack.push(step);
+  updateHistoryButtons();
+}
+
+// Forget every step - used when switching between camera and photo, where faces
+// and outfits are matched afresh
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+  pendingHistoryStep = null;
+  updateHistoryButtons();
+}
+
+function updateHistoryButtons() {
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  const nextUndo = undoStack[undoStack.length - 1];
+  const nextRedo = redoStack[redoStack.length - 1];
+  
+  if (undoBtn) {
+    undoBtn.disabled = !nextUndo;
+    undoBtn.title = nextUndo ? `Undo: ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+  }
+  if (redoBtn) {
+    redoBtn.disabled = !nextRedo;
+    redoBtn.title = nextRedo ? `Redo: ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  }
+}
+
+// On-screen buttons and Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z (or Ctrl+Y) - text fields keep
+// their own undo
+function setupEditHistory() {
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  if (undoBtn) undoBtn.addEventListener('click', undo);
+  if (redoBtn) redoBtn.addEventListener('click', redo);
+  
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const target = e.target;
+    const isTextField = target.isContentEditable || target.tagName === 'TEXTAREA' ||
+      (target.tagName === 'INPUT' && !['range', 'checkbox', 'button'].includes(target.type));
+    if (isTextField) return;
+    
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redo();
+    }
+  });
+  
+  updateHistoryButtons();
+}
+
+// ========================================
+// Canvas Gestures
+// ========================================
+// Direct manipulation of a worn product on the canvas: drag to nudge it, pinch
+// to resize, twist two fingers to rotate. Trackpad pinches and the mouse wheel
+// resize too (Shift+wheel rotates). The nudge is stored in face widths along the
+// tilted face and the twist as an angle on top of the fitted roll, so an
+// adjustment keeps following the head (see applyLayerAdjustment()).
+const GESTURE_TAP_SLOP = 6;           // Canvas pixels a pointer may move and still count as a tap
+const GESTURE_MIN_SCALE = 0.5;        // Same range as the Size Scale slider
+const GESTURE_MAX_SCALE = 2.5;
+const WHEEL_SCALE_SPEED = 0.002;      // Scale change per wheel delta unit (exponential)
+const WHEEL_ROTATE_SPEED = 0.002;     // Radians per wheel delta unit with Shift held
+const WHEEL_STEP_IDLE_MS = 400;       // A burst of wheel events is one undo step
+
+let canvasGesture = null;             // { layer, pointers, start, moved } while pointers are down
+let suppressCanvasClick = false;      // The click ending a gesture shouldn't also select a face
+let wheelStepTimer = null;
+
+// Distance between the temples in canvas pixels
+function getFaceWidthPx(landmarks) {
+  const faceLeft = getLandmark(landmarks, 234, canvas.width, canvas.height);
+  const faceRight = getLandmark(landmarks, 454, canvas.width, canvas.height);
+  return faceLeft && faceRight ? calculateDistance(faceLeft, faceRight) : 0;
+}
+
+/**
+ * Apply a layer's manual nudge and rotation trim to a fitted placement
+ * The right-hand copy of a paired product (lashes, earrings) is adjusted as a
+ * mirror image, so both sides stay symmetric.
+ *
+ * @param {Object} pos - Placement from the fit (rigid or mesh)
+ * @param {Object} layer - With nudgeX/nudgeY in face widths and rotationTrim in radians
+ * @returns {Object} Adjusted copy of the placement
+ */
+function applyLayerAdjustment(pos, layer, landmarks) {
+  if (!layer.nudgeX && !layer.nudgeY && !layer.rotationTrim) return pos;
+  
+  const side = pos.mirrorX ? -1 : 1;
+  const roll = pos.roll !== undefined ? pos.roll : (faceRotation.roll || 0);
+  const faceWidth = getFaceWidthPx(landmarks);
+  const nudgeX = (layer.nudgeX || 0) * side * faceWidth;
+  const nudgeY = (layer.nudgeY || 0) * faceWidth;
+  const dx = nudgeX * Math.cos(roll) - nudgeY * Math.sin(roll);
+  const dy = nudgeX * Math.sin(roll) + nudgeY * Math.cos(roll);
+  const trim = (layer.rotationTrim || 0) * side;
+  
+  if (pos.meshVertices) {
+    // Turn the warped mesh about its centre, then move it
+    const centerX = pos.meshVertices.reduce((sum, v) => sum + v.x, 0) / pos.meshVertices.length;
+    const centerY = pos.meshVertices.reduce((sum, v) => sum + v.y, 0) / pos.meshVertices.length;
+    const cos = Math.cos(trim);
+    const sin = Math.sin(trim);
+    return {
+      ...pos,
+      roll: roll + trim,
+      meshVertices: pos.meshVertices.map(v => ({
+        x: centerX + (v.x - centerX) * cos - (v.y - centerY) * sin + dx,
+        y: centerY + (v.x - centerX) * sin + (v.y - centerY) * cos + dy
+      }))
+    };
+  }
+  
+  return {
+    ...pos,
+    x: pos.x + dx,
+    y: pos.y + dy,
+    centerX: pos.centerX + dx,
+    centerY: pos.centerY + dy,
+    roll: roll + trim
+  };
+}
+
+// Whether a canvas point falls on one of a layer's placements
+function isPointOnLayer(point, layer, landmarks) {
+  // Drawn as a 3D model (see drawFaceLayers()) rather than its sprite
+  if (layer.model && modelRenderer && headPoseSolution) return isPointOnModel(point, layer);
+  if (!layer.sprite) return false;
+  
+  return calculateLayerPlacements(layer, landmarks).some(pos => {
+    if (pos.meshVertices) {
+      const xs = pos.meshVertices.map(v => v.x);
+      const ys = pos.meshVertices.map(v => v.y);
+      return point.x >= Math.min(...xs) && point.x <= Math.max(...xs) &&
+        point.y >= Math.min(...ys) && point.y <= Math.max(...ys);
+    }
+    // Into the placement's own (rotated) frame
+    const roll = pos.roll !== undefined ? pos.roll : (faceRotation.roll || 0);
+    const relX = point.x - pos.centerX;
+    const relY = point.y - pos.centerY;
+    const localX = relX * Math.cos(roll) + relY * Math.sin(roll);
+    const localY = -relX * Math.sin(roll) + relY * Math.cos(roll);
+    return Math.abs(localX) <= pos.width / 2 && Math.abs(localY) <= pos.height / 2;
+  });
+}
+
+// The front-most worn layer of the selected face under a point, or else the active
+// layer - unless the point is on another face, where a tap selects that face instead
+function getGestureTargetLayer(point) {
+  if (!detectedLandmarks) return null;
+  
+  const hit = getOrderedLayers().reverse().find(layer => isPointOnLayer(point, layer, detectedLandmarks));
+  if (hit) {
+    if (hit.slot !== activeLayerSlot) setActiveLayer(hit.slot);
+    return hit;
+  }
+  
+  const track = findFaceTrackAt(point);
+  if (track && track.id !== selectedFaceId) return null;
+  return overlayLayers[activeLayerSlot] || null;
+}
+
+// Remember where the pointers and the layer are, so moves apply relative to this
+function startGestureBaseline(gesture) {
+  const points = [...gesture.pointers.values()];
+  gesture.start = {
+    points: points.map(p => ({ ...p })),
+    center: getGestureCenter(points),
+    distance: points.length > 1 ? calculateDistance(points[0], points[1]) : 0,
+    angle: points.length > 1 ? Math.atan2(points[1].y - points[0].y, points[1].x - points[0].x) : 0,
+    nudgeX: gesture.layer.nudgeX || 0,
+    nudgeY: gesture.layer.nudgeY || 0,
+    scale: gesture.layer.scale,
+    rotationTrim: gesture.layer.rotationTrim || 0
+  };
+}
+
+function getGestureCenter(points) {
+  return {
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+  };
+}
+
+/**
+ * Update the layer from the pointers' movement since the baseline
+ * One pointer moves it; two also pinch (scale) and twist (rotate) about their midpoint.
+ */
+function updateCanvasGesture(gesture) {
+  const points = [...gesture.pointers.values()];
+  const start = gesture.start;
+  const layer = gesture.layer;
+  
+  if (!gesture.moved) {
+    gesture.moved = points.some((p, i) => start.points[i] && calculateDistance(p, start.points[i]) > GESTURE_TAP_SLOP);
+    if (!gesture.moved) return;
+  }
+  
+  // The drag in face widths along the tilted face
+  const center = getGestureCenter(points);
+  const faceWidth = getFaceWidthPx(detectedLandmarks) || canvas.width;
+  const roll = faceRotation.roll || 0;
+  const dx = center.x - start.center.x;
+  const dy = center.y - start.center.y;
+  layer.nudgeX = start.nudgeX + (dx * Math.cos(roll) + dy * Math.sin(roll)) / faceWidth;
+  layer.nudgeY = start.nudgeY + (-dx * Math.sin(roll) + dy * Math.cos(roll)) / faceWidth;
+  
+  if (points.length > 1 && start.distance > 0) {
+    const distance = calculateDistance(points[0], points[1]);
+    const angle = Math.atan2(points[1].y - points[0].y, points[1].x - points[0].x);
+    layer.scale = Math.max(GESTURE_MIN_SCALE, Math.min(GESTURE_MAX_SCALE, start.scale * distance / start.distance));
+    layer.rotationTrim = start.rotationTrim + (angle - start.angle);
+  }
+  
+  syncSlidersToActiveLayer();
+  requestRender();
+}
+
+function onCanvasPointerDown(event) {
+  if (compareMode.enabled) return;
+  suppressCanvasClick = false;
+  const point = getCanvasPoint(event);
+  
+  if (!canvasGesture) {
+    const layer = getGestureTargetLayer(point);
+    if (!layer) return;
+    canvasGesture = { layer, pointers: new Map(), start: null, moved: false };
+    beginHistoryStep(`Adjust ${getVariantProductName(layer.src, layer.variantId)}`);
+  }
+  
+  canvas.setPointerCapture(event.pointerId);
+  canvasGesture.pointers.set(event.pointerId, point);
+  startGestureBaseline(canvasGesture);
+}
+
+function onCanvasPointerMove(event) {
+  if (!canvasGesture || !canvasGesture.pointers.has(event.pointerId)) return;
+  canvasGesture.pointers.set(event.pointerId, getCanvasPoint(event));
+  updateCanvasGesture(canvasGesture);
+}
+
+function onCanvasPointerUp(event) {
+  if (!canvasGesture || !canvasGesture.pointers.has(event.pointerId)) return;
+  canvasGesture.pointers.delete(event.pointerId);
+  
+  if (canvasGesture.pointers.size > 0) {
+    // Carry on with the remaining finger from where the layer is now
+    startGestureBaseline(canvasGesture);
+    return;
+  }
+  
+  suppressCanvasClick = canvasGesture.moved;
+  canvasGesture = null;
+  commitHistoryStep();
+}
+
+// Wheel and trackpad pinch resize the active layer; Shift+wheel rotates it
+function onCanvasWheel(event) {
+  if (compareMode.enabled) return;
+  const layer = overlayLayers[activeLayerSlot];
+  if (!layer) return;
+  event.preventDefault();
+  
+  beginHistoryStep(`Adjust ${getVariantProductName(layer.src, layer.variantId)}`);
+  if (event.shiftKey) {
+    layer.rotationTrim = (layer.rotationTrim || 0) + (event.deltaY || event.deltaX) * WHEEL_ROTATE_SPEED;
+  } else {
+    const factor = Math.exp(-event.deltaY * WHEEL_SCALE_SPEED);
+    layer.scale = Math.max(GESTURE_MIN_SCALE, Math.min(GESTURE_MAX_SCALE, layer.scale * factor));
+  }
+  syncSlidersToActiveLayer();
+  requestRender();
+  
+  clearTimeout(wheelStepTimer);
+  wheelStepTimer = setTimeout(commitHistoryStep, WHEEL_STEP_IDLE_MS);
+}
+
+// True once for the click that ends a drag, pinch or twist
+function consumeCanvasGestureClick() {
+  const suppress = suppressCanvasClick;
+  suppressCanvasClick = false;
+  return suppress;
+}
+
+// Put the active layer back to its automatic fit: catalog scale and offset, no
+// nudge or rotation trim
+function resetActiveLayerFit() {
+  const layer = overlayLayers[activeLayerSlot];
+  if (!layer) return;
+  
+  recordHistoryStep(`Reset fit of ${getVariantProductName(layer.src, layer.variantId)}`, () => {
+    layer.scale = layer.fitting.scale;
+    layer.offsetY = layer.fitting.offsetY;
+    layer.nudgeX = 0;
+    layer.nudgeY = 0;
+    layer.rotationTrim = 0;
+  });
+  syncSlidersToActiveLayer();
+  requestRender();
+}
+
+function setupCanvasGestures() {
+  canvas.addEventListener('pointerdown', onCanvasPointerDown);
+  canvas.addEventListener('pointermove', onCanvasPointerMove);
+  canvas.addEventListener('pointerup', onCanvasPointerUp);
+  canvas.addEventListener('pointercancel', onCanvasPointerUp);
+  canvas.addEventListener('wheel', onCanvasWheel, { passive: false });
+  
+  const resetFitBtn = document.getElementById('resetFitBtn');
+  if (resetFitBtn) {
+    resetFitBtn.addEventListener('click', resetActiveLayerFit);
+  }
+}
+
+// ========================================
+// Lighting Controls
+// ========================================
+const LIGHTING_SLIDER_KEYS = ['brightness', 'contrast', 'saturation', 'temperature'];
+
+function formatLightingValue(key, value) {
+  return key === 'temperature' ? `${Math.round(value)}K` : `×${value.toFixed(2)}`;
+}
+
+// Show the lighting in use on the lighting panel - live estimates in auto mode
+function syncLightingPanel() {
+  const manual = lightingMode === 'manual';
+  const values = manual ? lightingAnalysis : targetLighting;
+  
+  LIGHTING_SLIDER_KEYS.forEach(key => {
+    const slider = document.querySelector(`.lighting-slider[data-lighting-key="${key}"]`);
+    const label = slider && document.getElementById(`${slider.id}Value`);
+    if (!slider) return;
+    if (!manual) slider.value = values[key];
+    slider.disabled = !manual || !lightingAnalysis.enabled;
+    if (label) label.textContent = formatLightingValue(key, values[key]);
+  });
+  
+  document.querySelectorAll('.lighting-mode-btn').forEach(btn => {
+    const active = btn.dataset.mode === lightingMode;
+    btn.classList.toggle('bg-blue-600', active);
+    btn.classList.toggle('bg-gray-700', !active);
+    btn.classList.toggle('hover:bg-gray-600', !active);
+  });
+}
+
+/**
+ * Switch between camera-estimated ('auto') and hand-set ('manual') lighting
+ * Manual mode starts from the current values and drops directional shading,
+ * so the sliders fully describe what is applied.
+ */
+function setLightingMode(mode) {
+  lightingMode = mode;
+  if (mode === 'manual') {
+    LIGHTING_SLIDER_KEYS.forEach(key => {
+      targetLighting[key] = lightingAnalysis[key];
+    });
+    targetLighting.lightX = lightingAnalysis.lightX = 0;
+    targetLighting.lightY = lightingAnalysis.lightY = 0;
+  }
+  syncLightingPanel();
+  requestRender();
+}
+
+function setupLightingPanel() {
+  const enabledToggle = document.getElementById('lightingEnabledToggle');
+  const compareToggle = document.getElementById('lightingCompareToggle');
+  const splitSlider = document.getElementById('lightingSplit');
+  const splitLabel = document.getElementById('lightingSplitLabel');
+  if (!enabledToggle) return;
+  
+  enabledToggle.checked = lightingAnalysis.enabled;
+  enabledToggle.addEventListener('change', () => {
+    lightingAnalysis.enabled = enabledToggle.checked;
+    syncLightingPanel();
+    requestRender();
+  });
+  
+  document.querySelectorAll('.lighting-mode-btn').forEach(btn => {
+    btn.addEventListener('click', () => setLightingMode(btn.dataset.mode));
+  });
+  
+  // Manual values apply at once, without easing
+  document.querySelectorAll('.lighting-slider').forEach(slider => {
+    slider.addEventListener('input', () => {
+      if (lightingMode !== 'manual') return;
+      const key = slider.dataset.lightingKey;
+      targetLighting[key] = lightingAnalysis[key] = parseFloat(slider.value);
+      syncLightingPanel();
+      requestRender();
+    });
+  });
+  
+  compareToggle.addEventListener('change', () => {
+    lightingComparison.enabled = compareToggle.checked;
+    splitLabel.classList.toggle('hidden', !compareToggle.checked);
+    requestRender();
+  });
+  splitSlider.addEventListener('input', () => {
+    lightingComparison.split = parseFloat(splitSlider.value);
+    requestRender();
+  });
+  
+  syncLightingPanel();
+}
+
+// Setup thumbnail buttons (legacy support)
+function setupThumbnailButtons() {
+  document.querySelectorAll('.thumb').forEach(btn => {
+    btn.addEventListener('click', () => {
+      document.querySelectorAll('.thumb').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+      
+      const src = btn.dataset.src;
+      const type = btn.dataset.type;
+      const label = src ? `Try on ${getProductNameBySrc(src)}` : 'Remove item';
+      recordHistoryStep(label, () => applyProduct(src, type));
+    });
+  });
+}
+
+// Function to reset to camera mode
+function resetToCamera() {
+  isUsingUploadedImage = false;
+  uploadedImg.style.display = 'none';
+  uploadedImg.src = '';
+  backToCameraBtn.style.display = 'none';
+  
+  // Clear all worn layers and tracked faces
+  resetFaceTracks();
+  clearHistory();
+  
+  // Reinitialize camera
+  startCamera();
+}
+
+// ========================================
+// Fit Calibration
+// ========================================
+const FIT_PROFILES_STORAGE_KEY = 'virtualStyle_fitProfiles';
+const AVERAGE_PUPILLARY_DISTANCE_MM = 63;
+const AVERAGE_FACE_WIDTH_MM = 140;     // Between face mesh landmarks 234 and 454
+const IRIS_DIAMETER_MM = 11.7;         // Near-constant across adults, so it gives a real-world scale
+const CALIBRATION_SAMPLE_COUNT = 30;
+const CALIBRATION_MAX_YAW_DEGREES = 10; // Only measure while looking at the camera
+
+// { activeName, profiles: { name: { name, pupillaryDistanceMm, faceWidthMm, method, updatedAt } } }
+let fitProfiles = { activeName: null, profiles: {} };
+let calibrationSession = null; // { samples } while an automatic measurement is running
+
+// Load fit profiles from localStorage
+function loadFitProfiles() {
+  try {
+    const stored = localStorage.getItem(FIT_PROFILES_STORAGE_KEY);
+    if (stored) {
+      fitProfiles = { activeName: null, profiles: {}, ...JSON.parse(stored) };
+    }
+  } catch (err) {
+    console.error('Error loading fit profiles:', err);
+    fitProfiles = { activeName: null, profiles: {} };
+  }
+}
+
+// Save fit profiles to localStorage
+function saveFitProfiles() {
+  try {
+    localStorage.setItem(FIT_PROFILES_STORAGE_KEY, JSON.stringify(fitProfiles));
+  } catch (err) {
+    console.error('Error saving fit profiles:', err);
+  }
+}
+
+function getActiveFitProfile() {
+  return fitProfiles.profiles[fitProfiles.activeName] || null;
+}
+
+// Pupil centres and the real-world scale from the irises (needs refined landmarks)
+function measureEyes(landmarks) {
+  if (!landmarks || landmarks.length < 478) return null;
+  
+  const point = index => getLandmark(landmarks, index, canvas.width, canvas.height);
+  const irisDiameter = (calculateDistance(point(469), point(471)) + calculateDistance(point(474), point(476))) / 2;
+  if (irisDiameter === 0) return null;
+  
+  return {
+    pupilDistance: calculateDistance(point(468), point(473)),
+    faceWidth: calculateDistance(point(234), point(454)),
+    mmPerPixel: IRIS_DIAMETER_MM / irisDiameter
+  };
+}
+
+/**
+ * Store a calibration as the active profile
+ * 
+ * @param {string} name - Profile (user) name
+ * @param {number} pupillaryDistanceMm
+ * @param {number|null} faceWidthMm - Estimated from the PD if unknown
+ * @param {string} method - 'manual' or 'iris'
+ */
+function saveFitProfile(name, pupillaryDistanceMm, faceWidthMm, method) {
+  fitProfiles.profiles[name] = {
+    name,
+    pupillaryDistanceMm,
+    faceWidthMm: faceWidthMm || pupillaryDistanceMm * AVERAGE_FACE_WIDTH_MM / AVERAGE_PUPILLARY_DISTANCE_MM,
+    method,
+    updatedAt: new Date().toISOString()
+  };
+  fitProfiles.activeName = name;
+  saveFitProfiles();
+  renderCalibrationSummary();
+  renderProducts(currentCategory); // Refresh eyewear fit scores
+  requestRender();
+}
+
+// Use an entered PD; face width is measured in the same units if a face is visible
+function saveManualPupillaryDistance() {
+  const pdInput = document.getElementById('pdInput');
+  const pupillaryDistanceMm = parseFloat(pdInput.value);
+  if (!(pupillaryDistanceMm >= 45 && pupillaryDistanceMm <= 80)) {
+    alert('Please enter a pupillary distance between 45 and 80 mm.');
+    return;
+  }
+  
+  const eyes = measureEyes(getSelectedFaceTrack().landmarks);
+  const faceWidthMm = eyes && eyes.pupilDistance > 0
+    ? eyes.faceWidth * pupillaryDistanceMm / eyes.pupilDistance
+    : null;
+  saveFitProfile(getCalibrationProfileName(), pupillaryDistanceMm, faceWidthMm, 'manual');
+}
+
+// Start measuring PD and face width from the iris size over the next frames
+function startIrisCalibration() {
+  if (isUsingUploadedImage) {
+    alert('Automatic measurement uses the live camera. Go back to the camera and try again.');
+    return;
+  }
+  calibrationSession = { samples: [] };
+  renderCalibrationSummary();
+}
+
+// Called for each frame during a measurement, with the selected face current
+function collectCalibrationSample() {
+  const yaw = Math.abs(faceRotation.yaw) * 180 / Math.PI;
+  const eyes = yaw <= CALIBRATION_MAX_YAW_DEGREES ? measureEyes(detectedLandmarks) : null;
+  if (eyes) {
+    calibrationSession.samples.push(eyes);
+  }
+  
+  if (calibrationSession.samples.length < CALIBRATION_SAMPLE_COUNT) {
+    renderCalibrationSummary();
+    return;
+  }
+  
+  // Median is robust to blinks and the odd bad frame
+  const median = values => values.sort((a, b) => a - b)[Math.floor(values.length / 2)];
+  const samples = calibrationSession.samples;
+  calibrationSession = null;
+  saveFitProfile(
+    getCalibrationProfileName(),
+    Math.round(median(samples.map(e => e.pupilDistance * e.mmPerPixel)) * 2) / 2,
+    Math.round(median(samples.map(e => e.faceWidth * e.mmPerPixel))),
+    'iris'
+  );
+}
+
+function getCalibrationProfileName() {
+  const nameInput = document.getElementById('profileNameInput');
+  return (nameInput && nameInput.value.trim()) || 'Me';
+}
+
+// Show the active profile (or measurement progress) in the calibration modal
+function renderCalibrationSummary() {
+  const summary = document.getElementById('calibrationSummary');
+  const calibrateBtn = document.getElementById('calibrateBtn');
+  const profile = getActiveFitProfile();
+  
+  if (calibrateBtn) {
+    calibrateBtn.classList.toggle('ring-2', Boolean(profile));
+  }
+  if (!summary) return;
+  
+  if (calibrationSession) {
+    const progress = Math.round(calibrationSession.samples.length / CALIBRATION_SAMPLE_COUNT * 100);
+    summary.textContent = `Measuring... ${progress}% - look straight at the camera`;
+  } else if (profile) {
+    const method = profile.method === 'iris' ? 'measured' : 'entered';
+    summary.textContent = `${profile.name}: PD ${profile.pupillaryDistanceMm} mm, face width ${Math.round(profile.faceWidthMm)} mm (${method})`;
+  } else {
+    summary.textContent = 'Not calibrated - sizes use an average face';
+  }
+  
+  const profileNames = document.getElementById('profileNames');
+  if (profileNames) {
+    profileNames.innerHTML = '';
+    Object.keys(fitProfiles.profiles).forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      profileNames.appendChild(option);
+    });
+  }
+}
+
+// Open/close calibration modal
+function openCalibrationModal() {
+  const profile = getActiveFitProfile();
+  document.getElementById('profileNameInput').value = profile ? profile.name : '';
+  document.getElementById('pdInput').value = profile ? profile.pupillaryDistanceMm : '';
+  renderCalibrationSummary();
+  document.getElementById('calibrationModal').classList.remove('hidden');
+}
+
+function closeCalibrationModal() {
+  calibrationSession = null;
+  document.getElementById('calibrationModal').classList.add('hidden');
+}
+
+// Initialize fit calibration event listeners
+function initFitCalibration() {
+  loadFitProfiles();
+  renderCalibrationSummary();
+  
+  const calibrateBtn = document.getElementById('calibrateBtn');
+  if (calibrateBtn) {
+    calibrateBtn.addEventListener('click', openCalibrationModal);
+  }
+  
+  const closeCalibrationBtn = document.getElementById('closeCalibrationBtn');
+  if (closeCalibrationBtn) {
+    closeCalibrationBtn.addEventListener('click', closeCalibrationModal);
+  }
+  
+  const savePdBtn = document.getElementById('savePdBtn');
+  if (savePdBtn) {
+    savePdBtn.addEventListener('click', saveManualPupillaryDistance);
+  }
+  
+  const measurePdBtn = document.getElementById('measurePdBtn');
+  if (measurePdBtn) {
+    measurePdBtn.addEventListener('click', startIrisCalibration);
+  }
+  
+  // Typing an existing profile's name switches to it
+  const profileNameInput = document.getElementById('profileNameInput');
+  if (profileNameInput) {
+    profileNameInput.addEventListener('change', () => {
+      const name = profileNameInput.value.trim();
+      if (!fitProfiles.profiles[name]) return;
+      fitProfiles.activeName = name;
+      saveFitProfiles();
+      document.getElementById('pdInput').value = fitProfiles.profiles[name].pupillaryDistanceMm;
+      renderCalibrationSummary();
+      renderProducts(currentCategory);
+      requestRender();
+    });
+  }
+  
+  const clearProfileBtn = document.getElementById('clearProfileBtn');
+  if (clearProfileBtn) {
+    clearProfileBtn.addEventListener('click', () => {
+      delete fitProfiles.profiles[fitProfiles.activeName];
+      fitProfiles.activeName = null;
+      saveFitProfiles();
+      document.getElementById('pdInput').value = '';
+      renderCalibrationSummary();
+      renderProducts(currentCategory);
+      requestRender();
+    });
+  }
+  
+  const calibrationModal = document.getElementById('calibrationModal');
+  if (calibrationModal) {
+    calibrationModal.addEventListener('click', (e) => {
+      if (e.target === calibrationModal) {
+        closeCalibrationModal();
+      }
+    });
+  }
+}
+
+// ========================================
+// Eyewear Sizing
+// ========================================
+const FRAME_END_PIECE_MM = 8;        // Each side, from lens edge to the outside of the hinge
+const FRAME_PD_ALLOWANCE_MM = 7;     // Lens centres usually sit a little wider than the pupils
+const FRAME_FIT_GREAT = 80;
+const FRAME_FIT_GOOD = 60;           // Below this a frame is flagged as not fitting
+
+let hideNonFittingFrames = false;
+
+// Overall front width and lens-centre distance of a frame from its "52□18-140" sizing
+function getFrameMeasurements(sizing) {
+  return {
+    frameWidth: sizing.lensWidth * 2 + sizing.bridgeWidth + FRAME_END_PIECE_MM * 2,
+    framePd: sizing.lensWidth + sizing.bridgeWidth
+  };
+}
+
+function clampFrameSize(field, value) {
+  const limit = FRAME_SIZE_LIMITS[field];
+  return Math.max(limit.min, Math.min(limit.max, value));
+}
+
+/**
+ * Recommend a frame size for a fit profile
+ * 
+ * The frame front should be about as wide as the face, with lens centres a few
+ * millimetres outside the pupils; temples lengthen with head size. When both
+ * can't be met within FRAME_SIZE_LIMITS (a wide PD on a narrow face), the lens
+ * centres win: the bridge is clamped and the lenses take up the difference.
+ * 
+ * @returns {Object} { lensWidth, bridgeWidth, templeLength } in mm
+ */
+function recommendFrameSize(profile) {
+  const framePd = profile.pupillaryDistanceMm + FRAME_PD_ALLOWANCE_MM;
+  const idealLensWidth = profile.faceWidthMm - FRAME_END_PIECE_MM * 2 - framePd;
+  const bridgeWidth = Math.round(clampFrameSize('bridgeWidth', framePd - idealLensWidth));
+  const templeLength = profile.faceWidthMm < 130 ? 135 : profile.faceWidthMm < 148 ? 140 : 145;
+  return {
+    lensWidth: Math.round(clampFrameSize('lensWidth', framePd - bridgeWidth)),
+    bridgeWidth,
+    templeLength
+  };
+}
+
+// Score 0-100: full marks within a few mm of ideal, falling to zero at a clear misfit.
+// Front width matters most, then how well the lens centres line up with the pupils.
+function calculateFrameFitScore(sizing, profile) {
+  const { frameWidth, framePd } = getFrameMeasurements(sizing);
+  const closeness = (difference, tolerance, limit) =>
+    Math.max(0, Math.min(1, 1 - (Math.abs(difference) - tolerance) / (limit - tolerance)));
+  
+  const widthFit = closeness(frameWidth - profile.faceWidthMm, 6, 16);
+  const pdFit = closeness(framePd - profile.pupillaryDistanceMm - FRAME_PD_ALLOWANCE_MM, 4, 12);
+  return Math.round((widthFit * 0.6 + pdFit * 0.4) * 100);
+}
+
+// Fit of an eyewear product for the active profile, or null if either is unknown
+function getFrameFit(product) {
+  const profile = getActiveFitProfile();
+  if (!product.sizing || !profile) return null;
+  
+  const score = calculateFrameFitScore(product.sizing, profile);
+  const { frameWidth } = getFrameMeasurements(product.sizing);
+  let label = 'Great fit';
+  if (score < FRAME_FIT_GOOD) {
+    label = frameWidth < profile.faceWidthMm ? 'Likely too narrow' : 'Likely too wide';
+  } else if (score < FRAME_FIT_GREAT) {
+    label = 'Good fit';
+  }
+  return { score, label, fits: score >= FRAME_FIT_GOOD };
+}
+
+function formatFrameSize(sizing) {
+  return `${sizing.lensWidth}□${sizing.bridgeWidth}-${sizing.templeLength}`;
+}
+
+// Size line on an eyewear product card
+function renderFrameFitBadge(product) {
+  if (!product.sizing) return '';
+  
+  const fit = getFrameFit(product);
+  const size = `<span class="text-gray-400">${formatFrameSize(product.sizing)}</span>`;
+  if (!fit) {
+    return `<p class="text-xs mb-1.5">${size} · <span class="text-teal-300">📏 Calibrate for size advice</span></p>`;
+  }
+  
+  const color = fit.score >= FRAME_FIT_GREAT ? 'text-green-400' : fit.fits ? 'text-lime-300' : 'text-yellow-400';
+  const icon = fit.fits ? '✓' : '⚠️';
+  return `<p class="text-xs mb-1.5">${size} · <span class="${color}" title="Fit score ${fit.score}/100">${icon} ${fit.label} (${fit.score}%)</span></p>`;
+}
+
+// Recommended size and the fit filter, shown above eyewear in the library
+function renderFrameSizeAdvice(category) {
+  const profile = getActiveFitProfile();
+  if (!profile || (category !== 'all' && category !== 'glasses')) return '';
+  
+  const recommended = recommendFrameSize(profile);
+  return `
+    <div class="bg-teal-900/60 border border-teal-700 rounded-lg p-2.5 text-xs text-teal-100">
+      <p><strong>Your frame size:</strong> ${formatFrameSize(recommended)} (lens□bridge-temple, mm)</p>
+      <label class="flex items-center gap-2 mt-1.5 cursor-pointer">
+        <input type="checkbox" id="fitFilterToggle" ${hideNonFittingFrames ? 'checked' : ''}>
+        Hide frames that don't fit
+      </label>
+    </div>
+  `;
+}
+
+// ========================================
+// Colour Variants
+// ========================================
+// A product can come in several colours, declared as catalog "variants". Each one
+// either has its own image (src) or recolours the product image as it loads
+// (recolor) - optionally only where a mask image is opaque. The first variant is
+// the default. Layers, cart line items and saved outfits remember the variant id.
+
+const selectedVariants = {};              // product id -> variant id picked on its card
+const variantImageCache = new Map();      // "src|variant id" -> Promise of the recoloured canvas
+const variantPreviewUrls = new Map();     // "src|variant id" -> data URL for card and cart thumbnails
+
+// A product's variant by id, falling back to its default - null without variants
+function getProductVariant(product, variantId) {
+  if (!product || !product.variants || product.variants.length === 0) return null;
+  return product.variants.find(variant => variant.id === variantId) || product.variants[0];
+}
+
+// The variant picked on a product's card
+function getSelectedVariant(product) {
+  return product ? getProductVariant(product, selectedVariants[product.id]) : null;
+}
+
+function getVariantKey(src, variant) {
+  return `${src}|${variant.id}`;
+}
+
+// Load an image, resolving once it has decoded
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Could not load ${src}`));
+    image.src = src;
   });
 }
 
-// Add to cart
-function addToCart(productId) {
-  const product = products.find(p => p.id === productId);
-  if (!product) return;
+// [r, g, b] 0-255 of a "#rgb" or "#rrggbb" colour
+function parseHexColor(hex) {
+  const digits = hex.length === 4 ? hex.slice(1).split('').map(d => d + d).join('') : hex.slice(1);
+  return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+}
+
+// HSL with every component 0-1
+function rgbToHsl(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return [0, 0, l];
   
-  shoppingCart.push({ ...product, cartId: Date.now() });
-  updateCartUI();
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return [h / 6, s, l];
+}
+
+function hslToRgb(h, s, l) {
+  if (s === 0) return [l * 255, l * 255, l * 255];
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const channel = t => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return [channel(h + 1 / 3) * 255, channel(h) * 255, channel(h - 1 / 3) * 255];
+}
+
+/**
+ * Recolour a product image
+ * Takes the hue and saturation of recolor.color, and moves the product's average
+ * lightness to the colour's, so a red frame really turns black. Each pixel keeps
+ * its lightness relative to that average (darker stays darker, highlights stay
+ * bright), so folds and shading survive. With a mask only its opaque pixels
+ * change, e.g. a frame recoloured while the lenses stay clear.
+ *
+ * @param {HTMLImageElement} image - Product image
+ * @param {Object} recolor - { color, mask? } from the catalog
+ * @returns {Promise<HTMLCanvasElement>} Recoloured copy, same size as the image
+ */
+async function recolorImage(image, recolor) {
+  const width = image.naturalWidth;
+  const height = image.naturalHeight;
   
-  // Show notification
-  const btn = document.querySelector(`[data-product-id="${productId}"]`);
-  if (btn) {
-    const originalText = btn.textContent;
-    btn.textContent = '✓ Added';
-    btn.classList.add('bg-green-500');
-    setTimeout(() => {
-      btn.textContent = originalText;
-      btn.classList.remove('bg-green-500');
-    }, 1500);
+  const outputCanvas = document.createElement('canvas');
+  outputCanvas.width = width;
+  outputCanvas.height = height;
+  const outputCtx = outputCanvas.getContext('2d');
+  let maskData = null;
+  if (recolor.mask) {
+    outputCtx.drawImage(await loadImage(recolor.mask), 0, 0, width, height);
+    maskData = outputCtx.getImageData(0, 0, width, height).data;
+    outputCtx.clearRect(0, 0, width, height);
+  }
+  outputCtx.drawImage(image, 0, 0);
+  const imageData = outputCtx.getImageData(0, 0, width, height);
+  const data = imageData.data;
+  const weightAt = i => (data[i + 3] / 255) * (maskData ? maskData[i + 3] / 255 : 1);
+  
+  // Average lightness of the part being recoloured
+  let lightnessSum = 0;
+  let weightSum = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const weight = weightAt(i);
+    if (weight === 0) continue;
+    lightnessSum += rgbToHsl(data[i], data[i + 1], data[i + 2])[2] * weight;
+    weightSum += weight;
+  }
+  if (weightSum === 0) return outputCanvas;
+  const sourceLightness = lightnessSum / weightSum;
+  
+  // Piecewise-linear lightness map: black and white stay put, the average lands on the target
+  const [hue, saturation, targetLightness] = rgbToHsl(...parseHexColor(recolor.color));
+  const mapLightness = l => (l <= sourceLightness
+    ? (sourceLightness > 0 ? l / sourceLightness * targetLightness : targetLightness)
+    : targetLightness + (l - sourceLightness) / (1 - sourceLightness) * (1 - targetLightness));
+  
+  for (let i = 0; i < data.length; i += 4) {
+    const mix = maskData ? maskData[i + 3] / 255 : 1;
+    if (data[i + 3] === 0 || mix === 0) continue;
+    const lightness = mapLightness(rgbToHsl(data[i], data[i + 1], data[i + 2])[2]);
+    const recolored = hslToRgb(hue, saturation, lightness);
+    for (let c = 0; c < 3; c++) {
+      data[i + c] = data[i + c] * (1 - mix) + recolored[c] * mix;
+    }
   }
+  outputCtx.putImageData(imageData, 0, 0);
+  return outputCanvas;
 }
 
-// Remove from cart
-function removeFromCart(cartId) {
-  shoppingCart = shoppingCart.filter(item => item.cartId !== cartId);
-  updateCartUI();
+/**
+ * Load the image a product is worn with in a variant
+ * Recoloured images are cached, so switching back and forth doesn't redo the work.
+ *
+ * @param {string} src - The product's catalog src
+ * @param {Object|null} variant - From getProductVariant()
+ * @returns {Promise<HTMLImageElement|HTMLCanvasElement>}
+ */
+function loadVariantImage(src, variant) {
+  if (!variant || !variant.recolor) {
+    return loadImage((variant && variant.src) || src);
+  }
+  
+  const key = getVariantKey(src, variant);
+  if (!variantImageCache.has(key)) {
+    const recolored = loadImage(src).then(image => recolorImage(image, variant.recolor));
+    recolored.catch(() => variantImageCache.delete(key));
+    variantImageCache.set(key, recolored);
+  }
+  return variantImageCache.get(key);
 }
 
-// Update cart UI
-function updateCartUI() {
-  const cartBadge = document.getElementById('cartBadge');
-  const cartItems = document.getElementById('cartItems');
-  const cartTotal = document.getElementById('cartTotal');
-  const checkoutBtn = document.getElementById('checkoutBtn');
+// Thumbnail for a product in a variant - recoloured ones show the plain image until
+// loadVariantPreview() has rendered them
+function getVariantPreviewSrc(product, variant) {
+  if (!variant) return product.src;
+  if (variant.recolor) return variantPreviewUrls.get(getVariantKey(product.src, variant)) || product.src;
+  return variant.src || product.src;
+}
+
+// Render a recoloured variant's thumbnail, then show it in the given <img>
+function loadVariantPreview(product, variant, img) {
+  if (!variant || !variant.recolor) return;
   
-  // Update badge
-  const itemCount = shoppingCart.length;
-  if (itemCount > 0) {
-    cartBadge.textContent = itemCount;
-    cartBadge.classList.remove('hidden');
-  } else {
-    cartBadge.classList.add('hidden');
-  }
+  const key = getVariantKey(product.src, variant);
+  if (variantPreviewUrls.has(key)) return;
+  loadVariantImage(product.src, variant).then(recolored => {
+    variantPreviewUrls.set(key, recolored.toDataURL('image/png'));
+    if (img.isConnected) img.src = variantPreviewUrls.get(key);
+  }).catch(error => console.warn(`Could not preview ${product.name} in ${variant.name}:`, error));
+}
+
+// Product name with its colour, for worn layers and saved outfit items
+function getVariantProductName(src, variantId) {
+  const product = getProductBySrc(src);
+  const variant = getProductVariant(product, variantId);
+  const name = getProductNameBySrc(src);
+  return variant ? `${name} (${variant.name})` : name;
+}
+
+// Pick a product's colour on its card - a product being worn is re-dressed in it
+// with its current adjustments
+function selectProductVariant(productId, variantId) {
+  const product = products.find(p => p.id === productId);
+  if (!product) return;
+  selectedVariants[productId] = variantId;
   
-  // Update cart items
-  if (shoppingCart.length === 0) {
-    cartItems.innerHTML = '<p class="text-gray-400 text-center py-8">Your cart is empty</p>';
-    checkoutBtn.disabled = true;
-  } else {
-    const total = shoppingCart.reduce((sum, item) => sum + item.price, 0);
-    cartItems.innerHTML = shoppingCart.map(item => `
-      <div class="flex items-center gap-3 p-3 bg-gray-700 rounded-lg mb-2">
-        <img src="${item.src}" alt="${item.name}" class="w-16 h-16 object-contain bg-gray-800 rounded">
-        <div class="flex-1">
-          <h4 class="font-semibold text-sm">${item.name}</h4>
-          <p class="text-green-400 font-bold">$${item.price.toFixed(2)}</p>
-        </div>
-        <button class="remove-from-cart-btn text-red-400 hover:text-red-300 px-2" data-cart-id="${item.cartId}">
-          ✕
-        </button>
-      </div>
-    `).join('');
-    
-    cartTotal.textContent = `$${total.toFixed(2)}`;
-    checkoutBtn.disabled = false;
-    
-    // Add remove listeners
-    document.querySelectorAll('.remove-from-cart-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const cartId = parseInt(btn.dataset.cartId);
-        removeFromCart(cartId);
-      });
-    });
+  const wornLayer = Object.values(overlayLayers).find(layer => layer.src === product.src);
+  if (wornLayer && wornLayer.variantId !== variantId) {
+    recordHistoryStep(`Change colour of ${product.name}`, () => applyProduct(product.src, product.type, {
+      ...getLayerAdjustments(wornLayer),
+      variantId
+    }));
+  }
+  if (compareMode.enabled) {
+    updateCompareTileVariants(product.src, variantId);
+    requestRender();
   }
+  renderProducts(currentCategory);
 }
 
-// Setup shopping cart and product library event listeners
-function setupShoppingCartAndLibrary() {
-  // Category filter
-  document.querySelectorAll('.filter-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      document.querySelectorAll('.filter-btn').forEach(b => {
-        b.classList.remove('active', 'bg-blue-600');
-        b.classList.add('bg-gray-700');
-      });
-      btn.classList.add('active', 'bg-blue-600');
-      btn.classList.remove('bg-gray-700');
-      currentCategory = btn.dataset.category;
-      renderProducts(currentCategory);
-    });
-  });
+// Swatch picker for a product card, empty for products with a single colour
+function renderVariantSwatches(product) {
+  if (product.variants.length < 2) return '';
+  
+  const selected = getSelectedVariant(product);
+  return `
+    <div class="flex items-center gap-1.5 mb-1.5" role="radiogroup" aria-label="Colour">
+      ${product.variants.map(variant => `
+        <button class="variant-swatch w-4 h-4 rounded-full border focus:outline-none focus:ring-2 focus:ring-blue-400 ${variant === selected ? 'border-white ring-2 ring-blue-500' : 'border-gray-500'}"
+          style="background-color: ${variant.swatch}" role="radio" aria-checked="${variant === selected}"
+          title="${variant.name}" aria-label="${variant.name}"
+          data-product-id="${product.id}" data-variant-id="${variant.id}"></button>
+      `).join('')}
+      <span class="text-xs text-gray-400">${selected.name}</span>
+    </div>
+  `;
+}
 
-  // Cart modal
-  const cartBtn = document.getElementById('cartBtn');
-  const cartModal = document.getElementById('cartModal');
-  const closeCartBtn = document.getElementById('closeCartBtn');
+// ========================================
+// Compare Mode
+// ========================================
+// Splits the try-on view into 2 or 4 tiles of the same frame, each zoomed on the
+// selected face and wearing a different product in place of whatever that face
+// wears in the product's slot. Every tile is fitted from the same landmarks, so
+// comparing costs no extra face detection. Try On fills the active tile.
+const COMPARE_TILE_COUNTS = [2, 4];
+const COMPARE_FACE_FILL = 0.4;     // Face height as a share of the tile height
+const COMPARE_HEADROOM = 0.2;      // Raise the crop by this many face heights to leave room for hats
+const COMPARE_TILE_GAP = 2;        // Pixels between tiles
 
-  if (cartBtn && cartModal) {
-    cartBtn.addEventListener('click', () => {
-      cartModal.classList.remove('hidden');
-    });
+// tiles: { src, type, variantId, layer } or null for an empty tile
+let compareMode = { enabled: false, tileCount: 2, tiles: [], activeTile: 0 };
+
+// Tile rectangles in canvas pixels: two tiles stack on a portrait canvas and sit
+// side by side on a landscape one, four make a 2x2 grid
+function getCompareTileRects(count = compareMode.tileCount) {
+  const width = canvas.width;
+  const height = canvas.height;
+  const columns = count === 4 || width > height ? 2 : 1;
+  const rows = count / columns;
+  const rects = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const x = Math.round(column * width / columns);
+      const y = Math.round(row * height / rows);
+      rects.push({
+        x,
+        y,
+        width: Math.round((column + 1) * width / columns) - x,
+        height: Math.round((row + 1) * height / rows) - y
+      });
+    }
   }
+  return rects;
+}
 
-  if (closeCartBtn && cartModal) {
-    closeCartBtn.addEventListener('click', () => {
-      cartModal.classList.add('hidden');
-    });
+// Part of the frame shown in a tile: around the face at the current landmarks, or
+// the middle of the frame when no face is found. Never zooms out past the frame.
+function getCompareCrop(rect, landmarks) {
+  let cropHeight = canvas.height;
+  let centerX = canvas.width / 2;
+  let centerY = canvas.height / 2;
+  if (landmarks) {
+    const box = getLandmarkBounds(landmarks);
+    cropHeight = box.height * canvas.height / COMPARE_FACE_FILL;
+    centerX = (box.x + box.width / 2) * canvas.width;
+    centerY = (box.y + box.height * (0.5 - COMPARE_HEADROOM)) * canvas.height;
   }
+  
+  let cropWidth = cropHeight * rect.width / rect.height;
+  const fit = Math.min(1, canvas.width / cropWidth, canvas.height / cropHeight);
+  cropWidth *= fit;
+  cropHeight *= fit;
+  return {
+    x: Math.max(0, Math.min(canvas.width - cropWidth, centerX - cropWidth / 2)),
+    y: Math.max(0, Math.min(canvas.height - cropHeight, centerY - cropHeight / 2)),
+    width: cropWidth,
+    height: cropHeight
+  };
+}
 
-  if (cartModal) {
-    cartModal.addEventListener('click', (e) => {
-      if (e.target === cartModal) {
-        cartModal.classList.add('hidden');
-      }
-    });
+// The selected face's outfit with a tile's product swapped into its slot
+function getCompareTileLayers(tile, faceLayers) {
+  return tile ? { ...faceLayers, [tile.layer.slot]: tile.layer } : faceLayers;
+}
+
+function isCompareTileLayer(layer) {
+  return compareMode.tiles.some(tile => tile && tile.layer === layer);
+}
+
+/**
+ * Draw the compare tiles in place of the normal view
+ * Each tile draws the frame and the selected face's overlays through a zooming
+ * transform, so the overlay code works in full-frame coordinates as usual.
+ *
+ * @param {CanvasImageSource} source - Camera video or still image
+ */
+function drawCompareView(source) {
+  const track = getSelectedFaceTrack();
+  setCurrentFace(track);
+  
+  // The tile labels follow the layout, which changes with the canvas shape
+  const layout = `${canvas.width}x${canvas.height}`;
+  if (layout !== compareMode.layout) {
+    compareMode.layout = layout;
+    renderCompareControls();
   }
+  
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  getCompareTileRects().forEach((rect, index) => {
+    const crop = getCompareCrop(rect, detectedLandmarks);
+    const zoom = rect.width / crop.width;
+    
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(rect.x, rect.y, rect.width, rect.height);
+    ctx.clip();
+    ctx.translate(rect.x - crop.x * zoom, rect.y - crop.y * zoom);
+    ctx.scale(zoom, zoom);
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    drawFaceLayers(getCompareTileLayers(compareMode.tiles[index], track.layers));
+    ctx.restore();
+  });
+  
+  // Gaps between tiles, so they read as separate pictures in photos and clips too
+  ctx.save();
+  ctx.fillStyle = '#111827';
+  getCompareTileRects().forEach(rect => {
+    if (rect.x > 0) ctx.fillRect(rect.x - COMPARE_TILE_GAP / 2, rect.y, COMPARE_TILE_GAP, rect.height);
+    if (rect.y > 0) ctx.fillRect(rect.x, rect.y - COMPARE_TILE_GAP / 2, rect.width, COMPARE_TILE_GAP);
+  });
+  ctx.restore();
+}
 
-  // Checkout
-  const checkoutBtn = document.getElementById('checkoutBtn');
-  if (checkoutBtn) {
-    checkoutBtn.addEventListener('click', () => {
-      if (shoppingCart.length > 0) {
-        alert(`Checkout complete! ${shoppingCart.length} item(s) for $${shoppingCart.reduce((sum, item) => sum + item.price, 0).toFixed(2)}`);
-        // In a real app, you would redirect to checkout or send data to backend
-      }
-    });
+// Turn compare mode on (starting from the product being adjusted) or off
+function setCompareMode(enabled) {
+  compareMode.enabled = enabled;
+  compareMode.tiles = [];
+  compareMode.activeTile = 0;
+  
+  if (enabled) {
+    const activeLayer = activeLayerSlot ? overlayLayers[activeLayerSlot] : null;
+    if (activeLayer) {
+      setCompareTileProduct(activeLayer.src, activeLayer.type, activeLayer.variantId);
+    }
   }
+  
+  renderCompareControls();
+  requestRender();
+}
 
-  // Mobile library toggle
-  const toggleLibraryBtn = document.getElementById('toggleLibraryBtn');
-  const closeLibraryBtn = document.getElementById('closeLibraryBtn');
-  const productLibrary = document.querySelector('.product-library');
+function setCompareTileCount(count) {
+  if (!COMPARE_TILE_COUNTS.includes(count)) return;
+  compareMode.tileCount = count;
+  compareMode.tiles = compareMode.tiles.slice(0, count);
+  compareMode.activeTile = Math.min(compareMode.activeTile, count - 1);
+  renderCompareControls();
+  requestRender();
+}
 
-  if (toggleLibraryBtn && productLibrary) {
-    toggleLibraryBtn.addEventListener('click', () => {
-      productLibrary.classList.add('open');
-    });
-  }
+/**
+ * Put a product in the active tile, then move on to the next tile
+ * A product already worn in its slot keeps its adjustments.
+ */
+function setCompareTileProduct(src, type, variantId) {
+  const worn = Object.values(overlayLayers).find(layer => layer.src === src);
+  const layer = createProductLayer(src, type, {
+    ...(worn ? getLayerAdjustments(worn) : {}),
+    variantId
+  });
+  if (!layer) return;
+  
+  compareMode.tiles[compareMode.activeTile] = { src, type, variantId: layer.variantId, layer };
+  compareMode.activeTile = (compareMode.activeTile + 1) % compareMode.tileCount;
+  renderCompareControls();
+  requestRender();
+}
 
-  if (closeLibraryBtn && productLibrary) {
-    closeLibraryBtn.addEventListener('click', () => {
-      productLibrary.classList.remove('open');
-    });
+// Keep tiles in step with a colour picked on a product card
+function updateCompareTileVariants(src, variantId) {
+  compareMode.tiles.forEach((tile, index) => {
+    if (!tile || tile.src !== src || tile.variantId === variantId) return;
+    const layer = createProductLayer(src, tile.type, { ...getLayerAdjustments(tile.layer), variantId });
+    compareMode.tiles[index] = { ...tile, variantId: layer.variantId, layer };
+  });
+  renderCompareControls();
+}
+
+// Wear a tile's product, add it to the cart and leave compare mode
+function pickCompareTile(index) {
+  const tile = compareMode.tiles[index];
+  if (!tile) return;
+  
+  setCompareMode(false);
+  recordHistoryStep(`Try on ${getVariantProductName(tile.src, tile.variantId)}`, () => applyProduct(tile.src, tile.type, {
+    ...getLayerAdjustments(tile.layer),
+    variantId: tile.variantId
+  }));
+  const product = getProductBySrc(tile.src);
+  if (product) {
+    addToCart(product.id, tile.variantId);
   }
 }
 
-// Thumbnail buttons are now set up in setupThumbnailButtons() function
+// Try On from the library: into the active tile while comparing, onto the face otherwise
+function tryOnProduct(src, type, variantId) {
+  if (compareMode.enabled) {
+    setCompareTileProduct(src, type, variantId);
+  } else {
+    recordHistoryStep(`Try on ${getVariantProductName(src, variantId)}`, () => applyProduct(src, type, { variantId }));
+  }
+}
 
-// Setup slider event listeners
-function setupSliders() {
-  const scaleSlider = document.getElementById('scale');
-  const offsetSlider = document.getElementById('offY');
+// Compare toggle, tile count buttons and the per-tile labels over the canvas
+function renderCompareControls() {
+  const compareBtn = document.getElementById('compareBtn');
+  if (compareBtn) {
+    compareBtn.textContent = compareMode.enabled ? '✕ Exit Compare' : '⇆ Compare';
+    compareBtn.setAttribute('aria-pressed', compareMode.enabled);
+  }
+  document.querySelectorAll('.compare-count-btn').forEach(btn => {
+    const selected = parseInt(btn.dataset.count) === compareMode.tileCount;
+    btn.classList.toggle('hidden', !compareMode.enabled);
+    btn.classList.toggle('bg-blue-600', selected);
+    btn.classList.toggle('bg-gray-700', !selected);
+    btn.setAttribute('aria-pressed', selected);
+  });
   
-  if (scaleSlider) {
-    scaleSlider.addEventListener('input', (e) => {
-      overlayScale = parseFloat(e.target.value);
-      draw();
-    });
+  const overlay = document.getElementById('compareOverlay');
+  if (!overlay) return;
+  overlay.classList.toggle('hidden', !compareMode.enabled);
+  if (!compareMode.enabled) {
+    overlay.innerHTML = '';
+    return;
   }
   
-  if (offsetSlider) {
-    offsetSlider.addEventListener('input', (e) => {
-      overlayOffsetY = parseFloat(e.target.value);
-      draw();
+  // Positioned as fractions of the canvas, which fills the same container
+  overlay.innerHTML = getCompareTileRects().map((rect, index) => {
+    const tile = compareMode.tiles[index];
+    const product = tile ? getProductBySrc(tile.src) : null;
+    const position = `left: ${rect.x / canvas.width * 100}%; top: ${rect.y / canvas.height * 100}%; width: ${rect.width / canvas.width * 100}%; height: ${rect.height / canvas.height * 100}%;`;
+    return `
+      <div class="compare-tile absolute pointer-events-auto cursor-pointer flex flex-col justify-end p-2 ${index === compareMode.activeTile ? 'ring-2 ring-inset ring-blue-500' : ''}" style="${position}" data-tile="${index}">
+        ${tile ? `
+          <div class="bg-black/70 rounded-lg px-2 py-1.5 flex items-center justify-between gap-2 text-xs">
+            <span class="truncate">${getVariantProductName(tile.src, tile.variantId)}${product ? ` · ${formatPrice(product.price, product.currency)}` : ''}</span>
+            <button class="pick-compare-btn bg-green-600 hover:bg-green-700 text-white px-2 py-1 rounded flex-shrink-0 focus:outline-none focus:ring-2 focus:ring-green-400" data-tile="${index}">Pick this one</button>
+          </div>
+        ` : `
+          <p class="bg-black/60 rounded-lg px-2 py-1.5 text-xs text-gray-300 text-center">${index === compareMode.activeTile ? 'Try On a product to show it here' : 'Empty - tap to fill next'}</p>
+        `}
+      </div>
+    `;
+  }).join('');
+  
+  overlay.querySelectorAll('.compare-tile').forEach(tileEl => {
+    tileEl.addEventListener('click', () => {
+      compareMode.activeTile = parseInt(tileEl.dataset.tile);
+      renderCompareControls();
     });
-  }
+  });
+  overlay.querySelectorAll('.pick-compare-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      pickCompareTile(parseInt(btn.dataset.tile));
+    });
+  });
 }
 
-// Setup thumbnail buttons (legacy support)
-function setupThumbnailButtons() {
-  document.querySelectorAll('.thumb').forEach(btn => {
-    btn.addEventListener('click', () => {
-      document.querySelectorAll('.thumb').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      
-      const src = btn.dataset.src;
-      const type = btn.dataset.type;
-      applyProduct(src, type);
-    });
+function setupCompareMode() {
+  const compareBtn = document.getElementById('compareBtn');
+  if (compareBtn) {
+    compareBtn.addEventListener('click', () => setCompareMode(!compareMode.enabled));
+  }
+  document.querySelectorAll('.compare-count-btn').forEach(btn => {
+    btn.addEventListener('click', () => setCompareTileCount(parseInt(btn.dataset.count)));
   });
+  renderCompareControls();
 }
 
-// Function to reset to camera mode
-function resetToCamera() {
-  isUsingUploadedImage = false;
-  uploadedImg.style.display = 'none';
-  uploadedImg.src = '';
-  backToCameraBtn.style.display = 'none';
-  
-  // Clear overlay
-  overlaySrc = '';
-  overlayType = '';
-  overlayImg = null;
+// ========================================
+// Offline Mode
+// ========================================
+const SERVICE_WORKER_URL = 'sw.js';
+
+let offlineReady = false; // True once the service worker has cached the app
+
+// Register the service worker that caches the app, catalog and product images.
+// Only works over http(s) - opening index.html from disk runs online-only.
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) {
+    return;
+  }
   
-  // Reset smart fitting references to allow recalibration
-  referenceFaceSize = null;
-  referenceEyeDistance = null;
-  referenceFaceWidth = null;
+  navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+    console.warn('Service worker registration failed - offline mode unavailable:', error);
+  });
   
-  // Deactivate thumb buttons
-  document.querySelectorAll('.thumb').forEach(b => b.classList.remove('active'));
+  // A worker only activates after it has finished caching
+  navigator.serviceWorker.ready.then(() => {
+    offlineReady = true;
+    updateConnectionStatus();
+  });
+}
+
+// Show whether the app is online, and whether it will keep working without a connection
+function updateConnectionStatus() {
+  const badge = document.getElementById('connectionStatus');
+  if (!badge) return;
   
-  // Reinitialize camera
-  startCamera();
+  if (!navigator.onLine) {
+    badge.textContent = offlineReady ? '📴 Offline' : '📴 Offline - some items may not load';
+    badge.className = 'text-xs px-2 py-0.5 rounded-full bg-yellow-600 text-white';
+    badge.title = offlineReady
+      ? 'No connection - using the saved copy of the app and catalog'
+      : 'No connection and the app has not finished saving for offline use';
+  } else {
+    badge.textContent = offlineReady ? '● Online · works offline' : '● Online';
+    badge.className = 'text-xs px-2 py-0.5 rounded-full bg-green-700/80 text-white';
+    badge.title = offlineReady
+      ? 'Saved for offline use - keeps working if the connection drops'
+      : 'Connected';
+  }
+}
+
+function initOfflineMode() {
+  window.addEventListener('online', updateConnectionStatus);
+  window.addEventListener('offline', updateConnectionStatus);
+  updateConnectionStatus();
+  registerServiceWorker();
 }
 
 // ========================================
@@ -1321,20 +6001,23 @@ function saveOutfitsToStorage() {
   }
 }
 
-// Get current outfit data
+// Get current outfit data - one item per worn layer, back-to-front
 function getCurrentOutfitData() {
   return {
-    src: overlaySrc || '',
-    type: overlayType || '',
-    scale: overlayScale,
-    offsetY: overlayOffsetY,
-    itemName: overlaySrc ? getProductNameBySrc(overlaySrc) : 'None'
+    items: getOrderedLayers().map(layer => ({
+      src: layer.src,
+      type: layer.type,
+      slot: layer.slot,
+      variantId: layer.variantId,
+      name: getVariantProductName(layer.src, layer.variantId),
+      ...getLayerAdjustments(layer)
+    }))
   };
 }
 
 // Get product name by source path
 function getProductNameBySrc(src) {
-  const product = products.find(p => p.src === src);
+  const product = getProductBySrc(src);
   return product ? product.name : 'Unknown Item';
 }
 
@@ -1342,7 +6025,7 @@ function getProductNameBySrc(src) {
 function captureOutfitPreview() {
   try {
     // Ensure canvas is drawn
-    draw();
+    renderNow();
     
     // Small delay to ensure rendering is complete
     return new Promise((resolve) => {
@@ -1379,8 +6062,8 @@ async function openSaveOutfitModal() {
   }
   
   // Show items list
-  if (outfitData.src) {
-    itemsList.innerHTML = `<p class="text-sm"><strong>Current Item:</strong> ${outfitData.itemName}</p>`;
+  if (outfitData.items.length > 0) {
+    itemsList.innerHTML = `<p class="text-sm"><strong>Items:</strong> ${outfitData.items.map(i => i.name).join(', ')}</p>`;
   } else {
     itemsList.innerHTML = '<p class="text-sm text-gray-500">No items selected</p>';
   }
@@ -1409,15 +6092,7 @@ async function saveOutfit() {
     id: Date.now(),
     name: outfitName,
     preview: preview,
-    items: outfitData.src ? [{
-      src: outfitData.src,
-      type: outfitData.type,
-      name: outfitData.itemName
-    }] : [],
-    settings: {
-      scale: outfitData.scale,
-      offsetY: outfitData.offsetY
-    },
+    items: outfitData.items,
     createdAt: new Date().toISOString()
   };
   
@@ -1505,23 +6180,24 @@ function restoreOutfit(outfitId) {
   const outfit = savedOutfits.find(o => o.id === outfitId);
   if (!outfit) return;
   
-  // Restore settings
-  overlayScale = outfit.settings.scale;
-  overlayOffsetY = outfit.settings.offsetY;
+  // Outfits saved before layering stored a single shared scale/offset in settings
+  const legacySettings = outfit.settings || {};
   
-  // Update sliders
-  const scaleSlider = document.getElementById('scale');
-  const offsetSlider = document.getElementById('offY');
-  if (scaleSlider) scaleSlider.value = overlayScale;
-  if (offsetSlider) offsetSlider.value = overlayOffsetY;
-  
-  // Restore items
-  if (outfit.items.length > 0) {
-    const firstItem = outfit.items[0]; // For now, restore first item (can be extended for multiple items)
-    applyProduct(firstItem.src, firstItem.type);
-  } else {
-    applyProduct('', '');
-  }
+  // Restore every item into its layer
+  recordHistoryStep(`Restore ${outfit.name}`, () => {
+    clearLayers();
+    outfit.items.forEach(item => {
+      applyProduct(item.src, item.type, {
+        scale: item.scale !== undefined ? item.scale : legacySettings.scale,
+        offsetY: item.offsetY !== undefined ? item.offsetY : legacySettings.offsetY,
+        nudgeX: item.nudgeX,
+        nudgeY: item.nudgeY,
+        rotationTrim: item.rotationTrim,
+        variantId: item.variantId
+      });
+    });
+  });
+  requestRender();
   
   // Close closet modal
   closeClosetModal();
@@ -1676,13 +6352,23 @@ function initializeApp() {
   // Setup all event listeners
   setupEventListeners();
   setupSliders();
+  setupEditHistory();
+  setupCanvasGestures();
+  setupLightingPanel();
+  setupClipRecording();
+  setupCompareMode();
   setupThumbnailButtons();
   setupShoppingCartAndLibrary();
+  setupPhotoImport();
+  setupFaceSelection();
+  setupRenderScheduler();
   
   // Initialize all features
-  initFaceMesh();
-  renderProducts(); // Initialize product library
+  initFaceDetection();
+  loadCatalog().then(() => renderProducts(currentCategory)); // Initialize product library
   initVirtualCloset(); // Initialize Virtual Closet
+  initFitCalibration(); // Saved real-world face measurements
+  initOfflineMode(); // Service worker and online/offline badge
 }
 
 // Start app when DOM is ready
@@ -0,0 +1,113 @@
+// ========================================
+// VirtualStyle detection worker
+// ========================================
+// Runs face landmark detection and lighting measurement off the main thread.
+// Frames arrive as transferred ImageBitmaps; app.js (see "Detection Worker")
+// consumes the results asynchronously while it keeps rendering.
+
+importScripts('lighting.js');
+
+// MediaPipe Tasks Vision is used here because the Face Mesh solution script needs a
+// document. Its FaceLandmarker returns the same 478 landmarks (with irises).
+// The bundled library and model (see README "Offline Mode") are tried before the CDN.
+const TASKS_VISION_PATHS = [
+  'vendor/mediapipe/tasks-vision/',
+  'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/'
+];
+const FACE_LANDMARKER_MODEL_URLS = [
+  'vendor/mediapipe/tasks-vision/face_landmarker.task',
+  'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task'
+];
+
+let faceLandmarker = null;
+let runningMode = 'VIDEO';
+let lightingSampleCtx = null;
+
+// Try each location in turn, returning the first that loads
+async function loadFirstAvailable(locations, load) {
+  let lastError = null;
+  for (const location of locations) {
+    try {
+      return await load(location);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+async function fetchModel(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status}`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+async function init({ numFaces }) {
+  const { vision, basePath } = await loadFirstAvailable(TASKS_VISION_PATHS, async basePath => ({
+    vision: await import(`${new URL(basePath, self.location.href)}vision_bundle.mjs`),
+    basePath
+  }));
+  const fileset = await vision.FilesetResolver.forVisionTasks(new URL(`${basePath}wasm`, self.location.href).href);
+  const modelAssetBuffer = await loadFirstAvailable(FACE_LANDMARKER_MODEL_URLS, fetchModel);
+
+  const options = delegate => ({
+    baseOptions: { modelAssetBuffer, delegate },
+    runningMode: 'VIDEO',
+    numFaces,
+    minFaceDetectionConfidence: 0.5,
+    minTrackingConfidence: 0.5
+  });
+  try {
+    faceLandmarker = await vision.FaceLandmarker.createFromOptions(fileset, options('GPU'));
+  } catch (error) {
+    // No WebGL in workers on this browser
+    faceLandmarker = await vision.FaceLandmarker.createFromOptions(fileset, options('CPU'));
+  }
+
+  const sampleCanvas = new OffscreenCanvas(LIGHTING_SAMPLE_SIZE, LIGHTING_SAMPLE_SIZE);
+  lightingSampleCtx = sampleCanvas.getContext('2d', { willReadFrequently: true });
+  return {};
+}
+
+/**
+ * Detect faces in a frame, and measure its lighting if asked
+ * Still images use IMAGE mode so they aren't tracked from the last camera frame.
+ * Without a lightProbe, lighting is sampled around the first face found.
+ */
+async function detect({ bitmap, still, analyzeLighting, lightProbe }) {
+  try {
+    const mode = still ? 'IMAGE' : 'VIDEO';
+    if (mode !== runningMode) {
+      await faceLandmarker.setOptions({ runningMode: mode });
+      runningMode = mode;
+    }
+
+    const result = still
+      ? faceLandmarker.detect(bitmap)
+      : faceLandmarker.detectForVideo(bitmap, performance.now());
+    const faces = result.faceLandmarks || [];
+
+    let lighting = null;
+    if (analyzeLighting) {
+      const probe = lightProbe || (faces.length > 0 ? getLightProbe(faces[0]) : null);
+      lighting = measureSceneLighting(lightingSampleCtx, bitmap, probe);
+    }
+    return { faces, lighting };
+  } finally {
+    bitmap.close();
+  }
+}
+
+const handlers = { init, detect };
+
+self.addEventListener('message', async event => {
+  const { id, type, ...data } = event.data;
+  try {
+    const result = await handlers[type](data);
+    self.postMessage({ id, ...result });
+  } catch (error) {
+    self.postMessage({ id, error: (error && error.message) || String(error) });
+  }
+});
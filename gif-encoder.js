@@ -0,0 +1,227 @@
+// ========================================
+// Animated GIF Encoder
+// ========================================
+// Fallback for clip recording on browsers where MediaRecorder can't record a
+// canvas (see "Clip Recording" in app.js). All frames share one 256-colour
+// palette, built by median cut from a sample of their pixels, so colours don't
+// flicker from frame to frame. Output is a looping GIF89a.
+
+const GIF_PALETTE_SIZE = 256;
+const GIF_PALETTE_MAX_SAMPLES = 50000; // Pixels sampled across all frames to build the palette
+const GIF_MAX_CODE = 4096;             // LZW codes are at most 12 bits
+
+/**
+ * Build a shared palette by median cut
+ * The sampled colours are split, box by box, across the channel with the widest
+ * range until there are GIF_PALETTE_SIZE boxes; each box's average is a palette entry.
+ *
+ * @param {Uint8ClampedArray[]} frames - RGBA pixels of each frame
+ * @returns {Uint8Array} GIF_PALETTE_SIZE RGB triples
+ */
+function buildGifPalette(frames) {
+  const totalPixels = frames.reduce((sum, pixels) => sum + pixels.length / 4, 0);
+  const step = Math.max(1, Math.ceil(totalPixels / GIF_PALETTE_MAX_SAMPLES));
+  const samples = [];
+  frames.forEach(pixels => {
+    for (let i = 0; i < pixels.length; i += 4 * step) {
+      samples.push((pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2]);
+    }
+  });
+
+  const channel = (color, shift) => (color >> shift) & 0xFF;
+  const describe = colors => {
+    let widest = 0, range = -1;
+    [16, 8, 0].forEach(shift => {
+      let min = 255, max = 0;
+      colors.forEach(color => {
+        const value = channel(color, shift);
+        if (value < min) min = value;
+        if (value > max) max = value;
+      });
+      if (max - min > range) {
+        range = max - min;
+        widest = shift;
+      }
+    });
+    return { colors, shift: widest, range };
+  };
+
+  const boxes = samples.length > 0 ? [describe(samples)] : [];
+  while (boxes.length > 0 && boxes.length < GIF_PALETTE_SIZE) {
+    // Split the box that covers the most colour, weighted by how many pixels it holds
+    let splitIndex = -1, best = 0;
+    boxes.forEach((box, index) => {
+      const score = box.range * Math.sqrt(box.colors.length);
+      if (box.colors.length > 1 && box.range > 0 && score > best) {
+        best = score;
+        splitIndex = index;
+      }
+    });
+    if (splitIndex < 0) break;
+
+    const box = boxes[splitIndex];
+    const sorted = box.colors.slice().sort((a, b) => channel(a, box.shift) - channel(b, box.shift));
+    const middle = sorted.length >> 1;
+    boxes.splice(splitIndex, 1, describe(sorted.slice(0, middle)), describe(sorted.slice(middle)));
+  }
+
+  const palette = new Uint8Array(GIF_PALETTE_SIZE * 3);
+  boxes.forEach((box, index) => {
+    let r = 0, g = 0, b = 0;
+    box.colors.forEach(color => {
+      r += channel(color, 16);
+      g += channel(color, 8);
+      b += channel(color, 0);
+    });
+    palette[index * 3] = Math.round(r / box.colors.length);
+    palette[index * 3 + 1] = Math.round(g / box.colors.length);
+    palette[index * 3 + 2] = Math.round(b / box.colors.length);
+  });
+  return palette;
+}
+
+// Nearest palette entry for each colour, cached at 15-bit colour precision
+function createGifColorMapper(palette) {
+  const cache = new Int16Array(1 << 15).fill(-1);
+  return (r, g, b) => {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    if (cache[key] < 0) {
+      let nearest = 0, nearestDistance = Infinity;
+      for (let i = 0; i < GIF_PALETTE_SIZE; i++) {
+        const dr = palette[i * 3] - r;
+        const dg = palette[i * 3 + 1] - g;
+        const db = palette[i * 3 + 2] - b;
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearest = i;
+        }
+      }
+      cache[key] = nearest;
+    }
+    return cache[key];
+  };
+}
+
+// Variable-length LZW compression of palette indices, as GIF image data expects
+function lzwEncodeGif(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const emit = code => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 0xFF);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const key = (prefix << 8) | indices[i];
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === GIF_MAX_CODE) {
+      // Table full - start over
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = indices[i];
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) bytes.push(bitBuffer & 0xFF);
+  return bytes;
+}
+
+/**
+ * Encode frames as a looping animated GIF
+ * Yields to the event loop between frames so the page stays responsive.
+ *
+ * @param {Uint8ClampedArray[]} frames - RGBA pixels, all width x height
+ * @param {number} width
+ * @param {number} height
+ * @param {number} delayMs - Time each frame is shown
+ * @returns {Promise<Blob>} image/gif
+ */
+async function encodeGif(frames, width, height, delayMs) {
+  const bytes = [];
+  const writeWord = value => bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+  const writeText = text => [...text].forEach(char => bytes.push(char.charCodeAt(0)));
+  const chunks = [];
+  // Flush the byte list into a typed chunk so it doesn't grow without bound
+  const flush = () => {
+    chunks.push(new Uint8Array(bytes));
+    bytes.length = 0;
+  };
+
+  const palette = buildGifPalette(frames);
+  const mapColor = createGifColorMapper(palette);
+
+  // Header, screen descriptor with the global palette, and the loop-forever extension
+  writeText('GIF89a');
+  writeWord(width);
+  writeWord(height);
+  bytes.push(0xF7, 0, 0); // Global palette of 2^(7+1) entries, 8 bits per channel
+  bytes.push(...palette);
+  bytes.push(0x21, 0xFF, 0x0B);
+  writeText('NETSCAPE2.0');
+  bytes.push(0x03, 0x01);
+  writeWord(0);
+  bytes.push(0x00);
+
+  const delay = Math.max(2, Math.round(delayMs / 10)); // Hundredths of a second
+  const indices = new Uint8Array(width * height);
+  for (const pixels of frames) {
+    for (let i = 0, p = 0; p < indices.length; i += 4, p++) {
+      indices[p] = mapColor(pixels[i], pixels[i + 1], pixels[i + 2]);
+    }
+
+    // Graphic control extension (frame delay) and image descriptor
+    bytes.push(0x21, 0xF9, 0x04, 0x04);
+    writeWord(delay);
+    bytes.push(0x00, 0x00);
+    bytes.push(0x2C);
+    writeWord(0);
+    writeWord(0);
+    writeWord(width);
+    writeWord(height);
+    bytes.push(0x00);
+
+    // LZW data in sub-blocks of up to 255 bytes
+    bytes.push(8);
+    const data = lzwEncodeGif(indices, 8);
+    for (let offset = 0; offset < data.length; offset += 255) {
+      const block = data.slice(offset, offset + 255);
+      bytes.push(block.length);
+      for (let i = 0; i < block.length; i++) bytes.push(block[i]);
+    }
+    bytes.push(0x00);
+    flush();
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  bytes.push(0x3B);
+  flush();
+  return new Blob(chunks, { type: 'image/gif' });
+}
@@ -0,0 +1,221 @@
+// ========================================
+// Lighting Measurement
+// ========================================
+// Pixel work for lighting adaptation, shared by app.js and detection-worker.js
+// (which runs it off the main thread). Works with canvas and OffscreenCanvas contexts.
+
+const LIGHTING_SAMPLE_SIZE = 64; // Frames are analyzed at this low resolution for performance
+
+// Face Mesh landmarks compared to find where the light comes from (image sides)
+const LIGHT_PROBE_LANDMARKS = {
+  left: 50,     // Cheek on the image-left side
+  right: 280,   // Cheek on the image-right side
+  top: 151,     // Forehead
+  bottom: 175   // Chin
+};
+const LIGHT_PROBE_RADIUS = 0.08;      // Patch size around each probe point, in face widths
+const LIGHT_VERTICAL_WEIGHT = 0.5;    // Foreheads are usually brighter anyway - trust up/down less
+const LIGHT_DIRECTION_GAIN = 2.5;     // Cheek contrast of 0.4 counts as fully directional light
+
+// Natural pixel size of a video, image, canvas or bitmap
+function getSourceSize(source) {
+  return {
+    width: source.videoWidth || source.naturalWidth || source.width,
+    height: source.videoHeight || source.naturalHeight || source.height
+  };
+}
+
+// Normalized 0-1 bounds of a set of landmarks
+function getLandmarkBounds(landmarks) {
+  let minX = 1, maxX = 0, minY = 1, maxY = 0;
+  landmarks.forEach(landmark => {
+    minX = Math.min(minX, landmark.x);
+    maxX = Math.max(maxX, landmark.x);
+    minY = Math.min(minY, landmark.y);
+    maxY = Math.max(maxY, landmark.y);
+  });
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+// Where to sample a face's lighting: its bounds and the probe points, normalized 0-1
+function getLightProbe(landmarks) {
+  if (!landmarks || landmarks.length < 468) return null;
+
+  const points = {};
+  Object.entries(LIGHT_PROBE_LANDMARKS).forEach(([name, index]) => {
+    points[name] = { x: landmarks[index].x, y: landmarks[index].y };
+  });
+  return { box: getLandmarkBounds(landmarks), points };
+}
+
+/**
+ * Measure the scene lighting around the face
+ * Samples the face region (or the centre of the frame) to detect brightness and color temperature
+ *
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} sampleCtx - LIGHTING_SAMPLE_SIZE square
+ * @param {CanvasImageSource} sourceImage - Video frame, image or ImageBitmap
+ * @param {Object|null} faceBox - Face bounds normalized to 0-1 ({ x, y, width, height })
+ * @returns {Object|null} Target { brightness, contrast, saturation, temperature }, or null if nothing was sampled
+ */
+function measureLighting(sampleCtx, sourceImage, faceBox) {
+  const sampleWidth = sampleCtx.canvas.width;
+  const sampleHeight = sampleCtx.canvas.height;
+
+  // Resize source to sample canvas for efficient analysis
+  const source = getSourceSize(sourceImage);
+  sampleCtx.clearRect(0, 0, sampleWidth, sampleHeight);
+  sampleCtx.drawImage(
+    sourceImage,
+    0, 0, source.width, source.height,
+    0, 0, sampleWidth, sampleHeight
+  );
+
+  // Sample pixels around the centre of the face (if detected) or of the frame
+  const sampleSize = Math.min(sampleWidth, sampleHeight);
+  const centerX = faceBox ? (faceBox.x + faceBox.width / 2) * sampleWidth : sampleWidth / 2;
+  const centerY = faceBox ? (faceBox.y + faceBox.height / 2) * sampleHeight : sampleHeight / 2;
+  const sampleRadius = sampleSize * 0.3;
+
+  const imageData = sampleCtx.getImageData(
+    Math.max(0, centerX - sampleRadius),
+    Math.max(0, centerY - sampleRadius),
+    Math.min(sampleRadius * 2, sampleWidth - (centerX - sampleRadius)),
+    Math.min(sampleRadius * 2, sampleHeight - (centerY - sampleRadius))
+  );
+
+  const data = imageData.data;
+  let totalR = 0, totalG = 0, totalB = 0;
+  let maxBrightness = 0;
+  let minBrightness = 255;
+  let pixelCount = 0;
+
+  // Analyze each pixel
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+
+    // Calculate brightness (luminance)
+    const brightness = 0.299 * r + 0.587 * g + 0.114 * b;
+    maxBrightness = Math.max(maxBrightness, brightness);
+    minBrightness = Math.min(minBrightness, brightness);
+
+    totalR += r;
+    totalG += g;
+    totalB += b;
+    pixelCount++;
+  }
+
+  if (pixelCount === 0) return null;
+
+  // Calculate average RGB
+  const avgR = totalR / pixelCount;
+  const avgG = totalG / pixelCount;
+  const avgB = totalB / pixelCount;
+  const avgBrightness = (maxBrightness + minBrightness) / 2;
+  const contrastRange = maxBrightness - minBrightness;
+
+  // Calculate brightness adjustment (normalize to 0-1 range, then scale)
+  const brightnessRatio = avgBrightness / 128; // 128 is middle gray
+
+  // Calculate contrast (based on dynamic range)
+  const contrastRatio = contrastRange / 128;
+
+  // Calculate saturation (colorfulness)
+  const colorVariance = Math.sqrt(
+    Math.pow(avgR - avgBrightness, 2) +
+    Math.pow(avgG - avgBrightness, 2) +
+    Math.pow(avgB - avgBrightness, 2)
+  ) / 128;
+
+  // Calculate color temperature from RGB balance
+  // Warmer (red/yellow) = lower temp, Cooler (blue) = higher temp
+  const colorBalance = avgR > avgB ? (avgR / (avgR + avgB)) : (avgB / (avgR + avgB));
+
+  return {
+    brightness: Math.max(0.5, Math.min(1.5, brightnessRatio)),
+    contrast: Math.max(0.8, Math.min(1.3, 0.9 + contrastRatio * 0.4)),
+    saturation: Math.max(0.7, Math.min(1.3, 0.9 + colorVariance * 0.4)),
+    // Map to color temperature range (2000K-10000K)
+    temperature: 4000 + (colorBalance * 4000) // Adjust range as needed
+  };
+}
+
+// Average luminance (0-255) of a square patch of the sample canvas
+function measurePatchLuminance(sampleCtx, x, y, radius) {
+  const left = Math.max(0, Math.round(x - radius));
+  const top = Math.max(0, Math.round(y - radius));
+  const size = Math.max(1, Math.round(radius * 2));
+  const width = Math.min(size, sampleCtx.canvas.width - left);
+  const height = Math.min(size, sampleCtx.canvas.height - top);
+  if (width <= 0 || height <= 0) return null;
+
+  const data = sampleCtx.getImageData(left, top, width, height).data;
+  let total = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    total += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return total / (data.length / 4);
+}
+
+/**
+ * Estimate where the dominant light comes from, from the shading on the face
+ * The face box is sampled at full LIGHTING_SAMPLE_SIZE resolution and the
+ * cheeks (left/right) and forehead/chin (up/down) are compared: the brighter
+ * side faces the light.
+ *
+ * @param {Object} probe - From getLightProbe()
+ * @returns {Object} { lightX, lightY } - Towards the light in image space (x right, y down),
+ *   length 0 (flat, even light) to 1 (strongly directional)
+ */
+function measureLightDirection(sampleCtx, sourceImage, probe) {
+  const sampleWidth = sampleCtx.canvas.width;
+  const sampleHeight = sampleCtx.canvas.height;
+  const source = getSourceSize(sourceImage);
+  const box = probe.box;
+  if (box.width <= 0 || box.height <= 0) return { lightX: 0, lightY: 0 };
+
+  // Crop the face to the sample canvas
+  sampleCtx.clearRect(0, 0, sampleWidth, sampleHeight);
+  sampleCtx.drawImage(
+    sourceImage,
+    box.x * source.width, box.y * source.height, box.width * source.width, box.height * source.height,
+    0, 0, sampleWidth, sampleHeight
+  );
+
+  const radius = LIGHT_PROBE_RADIUS * sampleWidth;
+  const luminance = {};
+  for (const [name, point] of Object.entries(probe.points)) {
+    luminance[name] = measurePatchLuminance(
+      sampleCtx,
+      (point.x - box.x) / box.width * sampleWidth,
+      (point.y - box.y) / box.height * sampleHeight,
+      radius
+    );
+    if (luminance[name] === null) return { lightX: 0, lightY: 0 };
+  }
+
+  const contrast = (a, b) => (a + b > 0 ? (a - b) / (a + b) : 0);
+  let lightX = contrast(luminance.right, luminance.left) * LIGHT_DIRECTION_GAIN;
+  // Brighter forehead = light from above (negative y)
+  let lightY = contrast(luminance.bottom, luminance.top) * LIGHT_DIRECTION_GAIN * LIGHT_VERTICAL_WEIGHT;
+  const length = Math.hypot(lightX, lightY);
+  if (length > 1) {
+    lightX /= length;
+    lightY /= length;
+  }
+  return { lightX, lightY };
+}
+
+/**
+ * Measure everything lighting adaptation needs from one frame
+ * @param {Object|null} probe - From getLightProbe(), or null to sample the frame centre with no direction
+ * @returns {Object|null} Target lighting (see measureLighting()) plus { lightX, lightY }
+ */
+function measureSceneLighting(sampleCtx, sourceImage, probe) {
+  const lighting = measureLighting(sampleCtx, sourceImage, probe ? probe.box : null);
+  if (!lighting) return null;
+
+  const direction = probe ? measureLightDirection(sampleCtx, sourceImage, probe) : { lightX: 0, lightY: 0 };
+  return { ...lighting, ...direction };
+}
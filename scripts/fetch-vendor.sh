@@ -0,0 +1,57 @@
+#!/bin/sh
+# Bundle the third-party libraries and models the app loads from vendor/, so it
+# runs offline (see README "Offline Mode"). Everything but the FaceLandmarker model
+# comes from the npm registry; versions are pinned to what index.html, app.js and
+# detection-worker.js expect.
+# Run from anywhere, then commit vendor/.
+set -e
+
+cd "$(dirname "$0")/.."
+work=$(mktemp -d)
+trap 'rm -rf "$work"' EXIT
+
+# unpack <package@version> <destination> <file or directory in the package>...
+unpack() {
+  package=$1
+  destination=$2
+  shift 2
+  tarball=$(cd "$work" && npm pack --silent "$package")
+  rm -rf "$work/package"
+  tar -xzf "$work/$tarball" -C "$work"
+  rm -rf "$destination"
+  mkdir -p "$destination"
+  for file in "$@"; do
+    cp -R "$work/package/$file" "$destination/"
+  done
+}
+
+unpack @mediapipe/camera_utils@0.3.1675466862 vendor/mediapipe/camera_utils \
+  camera_utils.js
+
+unpack @mediapipe/face_mesh@0.4.1657299874 vendor/mediapipe/face_mesh \
+  face_mesh.js face_mesh.binarypb \
+  face_mesh_solution_packed_assets.data face_mesh_solution_packed_assets_loader.js \
+  face_mesh_solution_simd_wasm_bin.js face_mesh_solution_simd_wasm_bin.wasm \
+  face_mesh_solution_wasm_bin.js face_mesh_solution_wasm_bin.wasm
+
+# Only the full landmark model - app.js runs Pose at modelComplexity 1
+unpack @mediapipe/pose@0.5.1675469404 vendor/mediapipe/pose \
+  pose.js pose_web.binarypb pose_landmark_full.tflite \
+  pose_solution_packed_assets.data pose_solution_packed_assets_loader.js \
+  pose_solution_simd_wasm_bin.js pose_solution_simd_wasm_bin.wasm \
+  pose_solution_wasm_bin.js pose_solution_wasm_bin.wasm
+
+unpack @mediapipe/tasks-vision@0.10.14 vendor/mediapipe/tasks-vision \
+  vision_bundle.mjs wasm
+
+# The detection worker's FaceLandmarker model isn't on npm, only on Google's model storage
+curl -fsSL -o vendor/mediapipe/tasks-vision/face_landmarker.task \
+  https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task
+
+unpack three@0.147.0 vendor/three \
+  build/three.min.js examples/js/loaders/GLTFLoader.js
+
+# Tailwind is compiled ahead of time to just the classes index.html and app.js use -
+# run this again after adding new ones
+mkdir -p vendor/tailwindcss
+npx --yes tailwindcss@3.4.17 --content ./index.html,./app.js --output vendor/tailwindcss/tailwind.css --minify
@@ -0,0 +1,161 @@
+// ========================================
+// VirtualStyle service worker - offline mode
+// ========================================
+// Caches the app shell, catalog, product assets and bundled libraries so the
+// app keeps working when the connection drops (see README "Offline Mode").
+
+// Bump to drop everything cached by older versions
+const CACHE_NAME = 'virtualstyle-v2';
+
+// Required for the app to start at all - installation fails without them
+const APP_SHELL = [
+  './',
+  'index.html',
+  'app.js',
+  'lighting.js',
+  'detection-worker.js',
+  'gif-encoder.js',
+  'style.css',
+  'catalog.json',
+  'manifest.webmanifest',
+  'assets/icons/icon.svg'
+];
+
+// Bundled libraries and models (see README) - cached when present, skipped when not
+const VENDOR_FILES = [
+  'vendor/tailwindcss/tailwind.css',
+  'vendor/mediapipe/camera_utils/camera_utils.js',
+  'vendor/mediapipe/face_mesh/face_mesh.js',
+  'vendor/mediapipe/face_mesh/face_mesh.binarypb',
+  'vendor/mediapipe/face_mesh/face_mesh_solution_packed_assets.data',
+  'vendor/mediapipe/face_mesh/face_mesh_solution_packed_assets_loader.js',
+  'vendor/mediapipe/face_mesh/face_mesh_solution_simd_wasm_bin.js',
+  'vendor/mediapipe/face_mesh/face_mesh_solution_simd_wasm_bin.wasm',
+  'vendor/mediapipe/face_mesh/face_mesh_solution_wasm_bin.js',
+  'vendor/mediapipe/face_mesh/face_mesh_solution_wasm_bin.wasm',
+  'vendor/mediapipe/pose/pose.js',
+  'vendor/mediapipe/pose/pose_web.binarypb',
+  'vendor/mediapipe/pose/pose_landmark_full.tflite',
+  'vendor/mediapipe/pose/pose_solution_packed_assets.data',
+  'vendor/mediapipe/pose/pose_solution_packed_assets_loader.js',
+  'vendor/mediapipe/pose/pose_solution_simd_wasm_bin.js',
+  'vendor/mediapipe/pose/pose_solution_simd_wasm_bin.wasm',
+  'vendor/mediapipe/pose/pose_solution_wasm_bin.js',
+  'vendor/mediapipe/pose/pose_solution_wasm_bin.wasm',
+  'vendor/mediapipe/tasks-vision/vision_bundle.mjs',
+  'vendor/mediapipe/tasks-vision/wasm/vision_wasm_internal.js',
+  'vendor/mediapipe/tasks-vision/wasm/vision_wasm_internal.wasm',
+  'vendor/mediapipe/tasks-vision/wasm/vision_wasm_nosimd_internal.js',
+  'vendor/mediapipe/tasks-vision/wasm/vision_wasm_nosimd_internal.wasm',
+  'vendor/mediapipe/tasks-vision/face_landmarker.task',
+  'vendor/three/three.min.js',
+  'vendor/three/GLTFLoader.js'
+];
+
+// Files that change with each release are fetched fresh when possible;
+// give up on a slow network after this long and use the cached copy
+const NETWORK_TIMEOUT_MS = 3000;
+
+// Product images (including colour variant images and recolour masks) and 3D models listed in the catalog
+function getCatalogAssetUrls(catalog) {
+  const products = Array.isArray(catalog) ? catalog : (catalog && catalog.products) || [];
+  const urls = [];
+  products.forEach(product => {
+    if (product && typeof product.src === 'string') urls.push(product.src);
+    if (product && product.model && typeof product.model.src === 'string') urls.push(product.model.src);
+    if (product && Array.isArray(product.variants)) {
+      product.variants.forEach(variant => {
+        if (variant && typeof variant.src === 'string') urls.push(variant.src);
+        if (variant && variant.recolor && typeof variant.recolor.mask === 'string') urls.push(variant.recolor.mask);
+      });
+    }
+  });
+  return urls;
+}
+
+// Cache each URL on its own so one missing file doesn't stop the rest
+async function cacheOptional(cache, urls) {
+  const results = await Promise.allSettled(urls.map(url => cache.add(url)));
+  const failed = urls.filter((url, i) => results[i].status === 'rejected');
+  if (failed.length > 0) {
+    console.info(`Not cached for offline use (${failed.length}):`, failed);
+  }
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(APP_SHELL);
+
+    let assetUrls = [];
+    try {
+      const catalogResponse = await cache.match('catalog.json');
+      assetUrls = getCatalogAssetUrls(await catalogResponse.json());
+    } catch (error) {
+      console.warn('Could not read catalog.json - product assets will be cached as they load', error);
+    }
+
+    await cacheOptional(cache, [...VENDOR_FILES, ...assetUrls]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Network first for the app shell and catalog so updates show up, cache first for
+// everything else (product assets, bundled libraries, CDN fallbacks), which never changes
+function isAppShellRequest(request, url) {
+  if (request.mode === 'navigate') return true;
+  return url.origin === self.location.origin && /\/(index\.html|app\.js|lighting\.js|detection-worker\.js|gif-encoder\.js|style\.css|catalog\.json|manifest\.webmanifest)?$/.test(url.pathname);
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await Promise.race([
+      fetch(request),
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error('Network timeout')), NETWORK_TIMEOUT_MS))
+    ]);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    if (request.mode === 'navigate') {
+      const shell = await cache.match('index.html');
+      if (shell) return shell;
+    }
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Opaque responses (no-cors CDN requests) can't be checked, but are still worth keeping
+  if (response.ok || response.type === 'opaque') {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+
+  event.respondWith(isAppShellRequest(request, url) ? networkFirst(request) : cacheFirst(request));
+});